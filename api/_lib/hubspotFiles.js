@@ -0,0 +1,190 @@
+/**
+ * HubSpot File Manager helper
+ * Stores the files of a verified submission so file fields can be forwarded as URLs,
+ * which is what the submissions API expects as their value.
+ * The file type is read from the file's own bytes; the name and type the browser reports are not trusted.
+ */
+
+const HUBSPOT_FILES_ENDPOINT = 'https://api.hubapi.com/files/v3/files';
+
+// Keep in line with MAX_FILE_SIZE_MB in dynamicFormHandler.js. Applies to all files of a
+// submission together, since they travel as base64 in one request under the serverless body limit.
+const MAX_UPLOAD_BYTES = 3 * 1024 * 1024;
+
+const MAX_FILES = 5;
+
+const FIELD_NAME_PATTERN = /^[\w-]{1,100}$/;
+
+/**
+ * Whether a buffer starts with the given bytes
+ */
+const startsWith = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+/**
+ * Whether a buffer is UTF-8 text without control characters other than whitespace
+ */
+const isPlainText = (buffer) => {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return false;
+  }
+  return !/[\u0000-\u0008\u000B\u000E-\u001F\u007F]/.test(text);
+};
+
+/**
+ * Accepted file types, recognised by their leading bytes. extension is the one the stored file gets.
+ */
+const FILE_TYPES = [
+  { contentType: 'application/pdf', extension: 'pdf', matches: (buffer) => startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d]) },
+  { contentType: 'image/png', extension: 'png', matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { contentType: 'image/jpeg', extension: 'jpg', matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  {
+    contentType: 'application/msword',
+    extension: 'doc',
+    matches: (buffer) => startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  },
+  {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    // A zip archive holding a word/ document part
+    matches: (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('word/'),
+  },
+  { contentType: 'text/plain', extension: 'txt', matches: isPlainText },
+];
+
+/**
+ * Validate the files array of a submission and return an error message, or null when it is usable
+ */
+const validateFiles = (files) => {
+  if (!Array.isArray(files)) {
+    return 'files must be an array';
+  }
+
+  if (files.length > MAX_FILES) {
+    return `At most ${MAX_FILES} files can be submitted`;
+  }
+
+  const invalidFile = files.find((file) =>
+    !file
+    || typeof file.name !== 'string'
+    || !FIELD_NAME_PATTERN.test(file.name)
+    || typeof file.fileName !== 'string'
+    || file.fileName.trim() === ''
+    || typeof file.data !== 'string'
+    || file.data === ''
+  );
+  if (invalidFile) {
+    return 'Every file needs a field name, a fileName and data';
+  }
+
+  return null;
+};
+
+/**
+ * Decode and identify the submitted files.
+ * Resolves to { files } ready for storeFiles, or { error, status, message } when one cannot be accepted.
+ */
+const readFiles = (files) => {
+  const decoded = files.map((file) => ({ ...file, buffer: Buffer.from(file.data, 'base64') }));
+  const totalBytes = decoded.reduce((total, file) => total + file.buffer.length, 0);
+
+  if (totalBytes > MAX_UPLOAD_BYTES) {
+    return { error: 'file_too_large', status: 413, message: 'Files are too large' };
+  }
+
+  const identified = [];
+  for (const file of decoded) {
+    const fileType = file.buffer.length > 0 ? FILE_TYPES.find((type) => type.matches(file.buffer)) : null;
+
+    if (!fileType) {
+      console.warn('[HubSpotFiles] Rejected file of unsupported type:', file.name);
+      return { error: 'invalid_file', status: 400, message: 'This file type is not supported' };
+    }
+
+    identified.push({ ...file, fileType });
+  }
+
+  return { files: identified };
+};
+
+/**
+ * A file-system friendly name that ends in the extension of the detected type,
+ * so HubSpot never serves the file as anything else
+ */
+const getStoredFileName = (fileName, fileType) => {
+  const baseName = fileName.split(/[\\/]/).pop().replace(/\.[^.]*$/, '').replace(/[^\w\- ]/g, '_').slice(0, 100);
+  return `${baseName || 'upload'}.${fileType.extension}`;
+};
+
+/**
+ * Remove stored files again, e.g. when HubSpot turned the submission they belong to down
+ */
+const deleteFiles = async (fileIds, accessToken) => {
+  await Promise.all(fileIds.map(async (fileId) => {
+    try {
+      const response = await fetch(`${HUBSPOT_FILES_ENDPOINT}/${encodeURIComponent(fileId)}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+
+      if (!response.ok) {
+        console.error('[HubSpotFiles] Could not delete file:', fileId, response.status);
+      }
+    } catch (error) {
+      console.error('[HubSpotFiles] Error deleting file:', fileId, error);
+    }
+  }));
+};
+
+/**
+ * Store files returned by readFiles in the File Manager.
+ * Resolves to [{ name, objectTypeId, url, id }]; when one fails the ones already stored are deleted and it throws.
+ */
+const storeFiles = async (files, accessToken) => {
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      const upload = new FormData();
+      upload.append('file', new Blob([file.buffer], { type: file.fileType.contentType }), getStoredFileName(file.fileName, file.fileType));
+      upload.append('folderPath', process.env.HUBSPOT_UPLOAD_FOLDER || '/form-uploads');
+      upload.append('options', JSON.stringify({
+        access: 'PUBLIC_NOT_INDEXABLE',
+        overwrite: false,
+        duplicateValidationStrategy: 'NONE',
+      }));
+
+      const response = await fetch(HUBSPOT_FILES_ENDPOINT, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+        body: upload,
+      });
+
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok || !result.url) {
+        throw new Error(`HubSpot rejected the file with HTTP ${response.status}`);
+      }
+
+      stored.push({ name: file.name, objectTypeId: file.objectTypeId, url: result.url, id: result.id });
+    }
+  } catch (error) {
+    await deleteFiles(stored.map((file) => file.id).filter(Boolean), accessToken);
+    throw error;
+  }
+
+  return stored;
+};
+
+module.exports = {
+  validateFiles,
+  readFiles,
+  storeFiles,
+  deleteFiles,
+};
@@ -0,0 +1,43 @@
+/**
+ * HubSpot form identifiers helper
+ * Shared checks for the portal ID and form GUID that browser requests name,
+ * so every endpoint only acts on the forms this deployment is configured for.
+ */
+
+const PORTAL_ID_PATTERN = /^\d+$/;
+const FORM_GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Forms the endpoints are allowed to act on, as "portalId:formGuid" pairs.
+ * Falls back to the single form configured through HUBSPOT_PORTAL_ID / HUBSPOT_FORM_GUID.
+ */
+const getAllowedForms = () => {
+  const configured = (process.env.HUBSPOT_ALLOWED_FORMS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (process.env.HUBSPOT_PORTAL_ID && process.env.HUBSPOT_FORM_GUID) {
+    configured.push(`${process.env.HUBSPOT_PORTAL_ID}:${process.env.HUBSPOT_FORM_GUID}`.toLowerCase());
+  }
+
+  return configured;
+};
+
+/**
+ * Whether at least one form is configured. Endpoints refuse to act on any form until one is.
+ */
+const isAllowlistConfigured = () => getAllowedForms().length > 0;
+
+/**
+ * Whether a portal/form pair is accepted. With no forms configured none is.
+ */
+const isFormAllowed = (portalId, formGuid) =>
+  getAllowedForms().includes(`${portalId}:${formGuid}`.toLowerCase());
+
+module.exports = {
+  PORTAL_ID_PATTERN,
+  FORM_GUID_PATTERN,
+  isAllowlistConfigured,
+  isFormAllowed,
+};
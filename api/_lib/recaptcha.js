@@ -0,0 +1,142 @@
+/**
+ * reCAPTCHA Enterprise assessment helper
+ * Verifies a grecaptcha.enterprise token server-side before a submission is forwarded.
+ * Files under api/_lib are shared helpers and are not deployed as endpoints.
+ */
+
+const DEFAULT_ASSESSMENT_URL = 'https://recaptchaenterprise.googleapis.com/v1';
+const DEFAULT_SCORE_THRESHOLD = 0.5;
+const DEFAULT_EXPECTED_ACTION = 'SUBMIT_FORM';
+
+/**
+ * Map of Enterprise invalidReason values to the rejection codes returned to the browser
+ */
+const INVALID_REASON_CODES = {
+  EXPIRED: 'captcha_expired',
+  DUPE: 'captcha_expired',
+  MISSING: 'captcha_missing',
+  MALFORMED: 'captcha_invalid',
+  SITE_MISMATCH: 'captcha_invalid',
+  BROWSER_ERROR: 'captcha_invalid',
+};
+
+/**
+ * Minimum score from RECAPTCHA_SCORE_THRESHOLD. A value that is not a number would disable the score check,
+ * so it falls back to the default instead.
+ */
+const getScoreThreshold = () => {
+  const configured = (process.env.RECAPTCHA_SCORE_THRESHOLD || '').trim();
+  if (configured === '') return DEFAULT_SCORE_THRESHOLD;
+
+  const threshold = Number(configured);
+
+  if (!Number.isFinite(threshold)) {
+    console.warn('[reCAPTCHA] RECAPTCHA_SCORE_THRESHOLD is not a number, using', DEFAULT_SCORE_THRESHOLD);
+    return DEFAULT_SCORE_THRESHOLD;
+  }
+
+  return threshold;
+};
+
+/**
+ * Read verification settings from the environment.
+ * RECAPTCHA_ASSESSMENT_URL can point at a local stand-in for the assessment API.
+ */
+const getRecaptchaSettings = () => ({
+  disabled: process.env.RECAPTCHA_DISABLED === 'true',
+  projectId: process.env.RECAPTCHA_PROJECT_ID,
+  apiKey: process.env.RECAPTCHA_API_KEY,
+  siteKey: process.env.RECAPTCHA_SITE_KEY,
+  assessmentUrl: process.env.RECAPTCHA_ASSESSMENT_URL || DEFAULT_ASSESSMENT_URL,
+  expectedAction: process.env.RECAPTCHA_EXPECTED_ACTION || DEFAULT_EXPECTED_ACTION,
+  scoreThreshold: getScoreThreshold(),
+  allowedHostnames: (process.env.RECAPTCHA_ALLOWED_HOSTNAMES || '')
+    .split(',')
+    .map((hostname) => hostname.trim().toLowerCase())
+    .filter(Boolean),
+});
+
+/**
+ * Create an assessment for the token and decide whether the submission may proceed.
+ * Resolves to { ok: true, score } or { ok: false, reason, status }.
+ */
+const verifyRecaptcha = async (token) => {
+  const settings = getRecaptchaSettings();
+
+  if (settings.disabled) {
+    return { ok: true, score: null };
+  }
+
+  if (!settings.projectId || !settings.apiKey || !settings.siteKey) {
+    console.error('[reCAPTCHA] RECAPTCHA_PROJECT_ID, RECAPTCHA_API_KEY and RECAPTCHA_SITE_KEY must be set');
+    return { ok: false, reason: 'captcha_unavailable', status: 500 };
+  }
+
+  if (!token || typeof token !== 'string') {
+    return { ok: false, reason: 'captcha_missing', status: 400 };
+  }
+
+  let assessment;
+  try {
+    const response = await fetch(
+      `${settings.assessmentUrl}/projects/${encodeURIComponent(settings.projectId)}/assessments?key=${encodeURIComponent(settings.apiKey)}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: {
+            token,
+            siteKey: settings.siteKey,
+            expectedAction: settings.expectedAction,
+          },
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      console.error('[reCAPTCHA] Assessment request failed:', response.status, await response.text());
+      return { ok: false, reason: 'captcha_unavailable', status: 503 };
+    }
+
+    assessment = await response.json();
+  } catch (error) {
+    console.error('[reCAPTCHA] Assessment request error:', error);
+    return { ok: false, reason: 'captcha_unavailable', status: 503 };
+  }
+
+  const tokenProperties = assessment.tokenProperties || {};
+  const riskAnalysis = assessment.riskAnalysis || {};
+
+  if (!tokenProperties.valid) {
+    console.warn('[reCAPTCHA] Invalid token:', tokenProperties.invalidReason);
+    return {
+      ok: false,
+      reason: INVALID_REASON_CODES[tokenProperties.invalidReason] || 'captcha_invalid',
+      status: 400,
+    };
+  }
+
+  if (tokenProperties.action !== settings.expectedAction) {
+    console.warn('[reCAPTCHA] Action mismatch:', tokenProperties.action);
+    return { ok: false, reason: 'captcha_action_mismatch', status: 400 };
+  }
+
+  if (
+    settings.allowedHostnames.length > 0 &&
+    !settings.allowedHostnames.includes(String(tokenProperties.hostname || '').toLowerCase())
+  ) {
+    console.warn('[reCAPTCHA] Hostname mismatch:', tokenProperties.hostname);
+    return { ok: false, reason: 'captcha_hostname_mismatch', status: 400 };
+  }
+
+  if (typeof riskAnalysis.score === 'number' && riskAnalysis.score < settings.scoreThreshold) {
+    console.warn('[reCAPTCHA] Score below threshold:', riskAnalysis.score, riskAnalysis.reasons);
+    return { ok: false, reason: 'captcha_low_score', status: 403 };
+  }
+
+  return { ok: true, score: typeof riskAnalysis.score === 'number' ? riskAnalysis.score : null };
+};
+
+module.exports = {
+  verifyRecaptcha,
+};
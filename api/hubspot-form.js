@@ -0,0 +1,273 @@
+/**
+ * Secure Backend API Endpoint for HubSpot Form Definitions
+ * Pulls a form's fields live from the HubSpot Forms API and returns them in the formFields.json shape
+ * that dynamicFormHandler.js renders, so edits made in HubSpot show up without re-exporting JSON.
+ * The recaptcha, steps, submit, consent and theme entries only exist in our static schema file and are merged in from it;
+ * when the HubSpot form has GDPR consent checkboxes configured, the consent entry is built from those instead.
+ * HubSpot has no translations of its own, so each field takes the translations block of the static entry with the same name.
+ * When HubSpot cannot be reached the static schema file is served as is; when the static file cannot be read
+ * nothing is built from HubSpot alone and the request fails, so the browser falls back to its own copy.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { PORTAL_ID_PATTERN, FORM_GUID_PATTERN, isAllowlistConfigured, isFormAllowed } = require('./_lib/hubspotForms');
+
+const HUBSPOT_FORMS_ENDPOINT = 'https://api.hubapi.com/forms/v2/forms';
+
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+
+// Static schema files live in data/ and are named by the client, e.g. formFields.json.
+// Resolved from this file because the working directory of a deployed function is not the project root;
+// vercel.json bundles data/ with the function.
+const STATIC_SCHEMA_DIR = path.join(__dirname, '..', 'data');
+const STATIC_SCHEMA_PATTERN = /^[\w-]+\.json$/;
+const DEFAULT_STATIC_SCHEMA = 'formFields.json';
+
+// Entries that drive the browser UI and have no HubSpot counterpart
+const CLIENT_ONLY_FIELD_TYPES = ['recaptcha', 'steps', 'submit', 'consent', 'theme'];
+
+// objectTypeIds of the Forms API v2 propertyObjectType values; fields of other objects are kept as contact properties
+const OBJECT_TYPE_IDS = {
+  CONTACT: '0-1',
+  COMPANY: '0-2',
+  DEAL: '0-3',
+  TICKET: '0-5',
+};
+
+// Transformed schemas keyed by "portalId:formGuid:staticSchema", kept while the function instance is warm
+const schemaCache = new Map();
+
+/**
+ * How long a live definition is reused, from HUBSPOT_FORM_CACHE_TTL in seconds
+ */
+const getCacheTtlSeconds = () => {
+  const ttl = Number(process.env.HUBSPOT_FORM_CACHE_TTL);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL_SECONDS;
+};
+
+/**
+ * Read the static schema file the client renders when no live definition is available
+ */
+const readStaticSchema = async (fileName) => {
+  const text = await fs.readFile(path.join(STATIC_SCHEMA_DIR, fileName), 'utf8');
+  const fields = JSON.parse(text);
+
+  if (!Array.isArray(fields)) {
+    throw new Error(`${fileName} does not contain a field array`);
+  }
+
+  return fields;
+};
+
+/**
+ * Collect the translations blocks of the static entries, including conditional fields, keyed by field name
+ */
+const collectTranslations = (fields, translations = new Map()) => {
+  fields.forEach((field) => {
+    if (!field || !field.name) return;
+    if (field.translations) translations.set(field.name, field.translations);
+    (field.dependentFieldFilters || []).forEach((dependency) => {
+      if (dependency && dependency.dependentFormField) {
+        collectTranslations([dependency.dependentFormField], translations);
+      }
+    });
+  });
+  return translations;
+};
+
+/**
+ * The objectTypeId the submissions API expects for a Forms API field
+ */
+const getObjectTypeId = (field) =>
+  field.objectTypeId || OBJECT_TYPE_IDS[String(field.propertyObjectType || '').toUpperCase()] || OBJECT_TYPE_IDS.CONTACT;
+
+/**
+ * Convert a Forms API field into a formFields.json entry, including its conditional fields
+ */
+const transformField = (field, translations = new Map()) => ({
+  ...field,
+  objectTypeId: getObjectTypeId(field),
+  ...(translations.has(field.name) ? { translations: translations.get(field.name) } : {}),
+  dependentFieldFilters: (field.dependentFieldFilters || []).map((dependency) => ({
+    ...dependency,
+    dependentFormField: dependency.dependentFormField ? transformField(dependency.dependentFormField, translations) : dependency.dependentFormField,
+  })),
+});
+
+/**
+ * Build a consent entry from the form's GDPR options, which the Forms API keeps as a JSON string in metaData.
+ * Returns null unless the form asks for explicit consent with a processing checkbox.
+ */
+const buildConsentField = (form, staticConsent) => {
+  const metaData = (form.metaData || []).find((entry) => entry && entry.name === 'legalConsentOptions');
+  if (!metaData) return null;
+
+  let options;
+  try {
+    options = JSON.parse(metaData.value);
+  } catch (error) {
+    console.error('[HubSpotForm] Could not parse legalConsentOptions:', error.message);
+    return null;
+  }
+
+  if (!options || options.isLegitimateInterest || options.processingConsentType !== 'REQUIRED_CHECKBOX' || !options.processingConsentCheckboxLabel) {
+    return null;
+  }
+
+  return {
+    fieldType: 'consent',
+    name: staticConsent ? staticConsent.name : 'legal_consent',
+    ...(staticConsent && staticConsent.translations ? { translations: staticConsent.translations } : {}),
+    communicationsText: options.communicationConsentText || '',
+    communications: (options.communicationConsentCheckboxes || []).map((checkbox) => ({
+      subscriptionTypeId: checkbox.communicationTypeId,
+      label: checkbox.label,
+      required: Boolean(checkbox.required),
+    })),
+    processingText: options.processingConsentText || '',
+    processingLabel: options.processingConsentCheckboxLabel,
+    privacyText: options.privacyPolicyText || '',
+  };
+};
+
+/**
+ * Flatten the form's field groups into the field list, then append our client-only entries
+ */
+const buildSchema = (form, staticFields) => {
+  const translations = collectTranslations(staticFields);
+  const fields = (form.formFieldGroups || [])
+    .flatMap((group) => group.fields || [])
+    .filter((field) => field && field.name)
+    .map((field) => transformField(field, translations));
+
+  const staticConsent = staticFields.find((field) => field.fieldType === 'consent');
+  const consentField = buildConsentField(form, staticConsent);
+
+  const clientOnlyFields = staticFields
+    .filter((field) => CLIENT_ONLY_FIELD_TYPES.includes(field.fieldType))
+    .filter((field) => !(consentField && field.fieldType === 'consent'));
+
+  return [...fields, ...clientOnlyFields, ...(consentField ? [consentField] : [])];
+};
+
+/**
+ * Fetch the form definition from HubSpot
+ */
+const fetchHubspotForm = async (formGuid, accessToken) => {
+  const response = await fetch(`${HUBSPOT_FORMS_ENDPOINT}/${formGuid}`, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`HubSpot responded with HTTP ${response.status}`);
+  }
+
+  return response.json();
+};
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    res.status(405).json({ success: false, error: 'method_not_allowed', message: 'Method not allowed' });
+    return;
+  }
+
+  const query = req.query || {};
+  const portalId = String(query.portalId || '');
+  const formGuid = String(query.formGuid || '');
+  const staticSchema = String(query.fallback || DEFAULT_STATIC_SCHEMA);
+
+  if (!PORTAL_ID_PATTERN.test(portalId) || !FORM_GUID_PATTERN.test(formGuid)) {
+    res.status(400).json({ success: false, error: 'invalid_payload', message: 'A numeric portalId and a valid formGuid are required' });
+    return;
+  }
+
+  if (!STATIC_SCHEMA_PATTERN.test(staticSchema)) {
+    res.status(400).json({ success: false, error: 'invalid_payload', message: 'fallback must be a .json file name' });
+    return;
+  }
+
+  if (!isAllowlistConfigured()) {
+    console.error('[HubSpotForm] Set HUBSPOT_ALLOWED_FORMS or HUBSPOT_PORTAL_ID and HUBSPOT_FORM_GUID to serve form definitions');
+    res.status(500).json({ success: false, error: 'not_configured', message: 'Form endpoint is not configured' });
+    return;
+  }
+
+  if (!isFormAllowed(portalId, formGuid)) {
+    res.status(403).json({ success: false, error: 'form_not_allowed', message: 'This form is not served by this endpoint' });
+    return;
+  }
+
+  const ttl = getCacheTtlSeconds();
+  const cacheKey = `${portalId}:${formGuid}:${staticSchema}`.toLowerCase();
+  const cached = schemaCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${ttl}, stale-while-revalidate=${ttl}`);
+    res.setHeader('X-Form-Schema-Source', 'cache');
+    res.status(200).json(cached.fields);
+    return;
+  }
+
+  let staticFields;
+  try {
+    staticFields = await readStaticSchema(staticSchema);
+  } catch (error) {
+    console.error('[HubSpotForm] Could not read static schema:', staticSchema, error.message);
+    staticFields = null;
+  }
+
+  const accessToken = process.env.HUBSPOT_ACCESS_TOKEN;
+
+  // Without the static file a live definition would lack the reCAPTCHA and submit entries, so it is not built
+  if (!accessToken) {
+    console.error('[HubSpotForm] HUBSPOT_ACCESS_TOKEN environment variable is not set, serving the static schema');
+  } else if (staticFields) {
+    try {
+      const form = await fetchHubspotForm(formGuid, accessToken);
+      const fields = buildSchema(form, staticFields);
+
+      schemaCache.set(cacheKey, { fields, expiresAt: Date.now() + ttl * 1000 });
+
+      res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${ttl}, stale-while-revalidate=${ttl}`);
+      res.setHeader('X-Form-Schema-Source', 'hubspot');
+      res.status(200).json(fields);
+      return;
+    } catch (error) {
+      console.error('[HubSpotForm] Error fetching form definition:', error.message);
+    }
+  }
+
+  // An expired copy of the live definition is closer to HubSpot than the static file
+  if (cached) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Form-Schema-Source', 'stale-cache');
+    res.status(200).json(cached.fields);
+    return;
+  }
+
+  if (!staticFields) {
+    res.status(502).json({ success: false, error: 'upstream_unavailable', message: 'Form definition is unavailable' });
+    return;
+  }
+
+  // Keep fallbacks out of shared caches so the live definition is picked up as soon as HubSpot recovers
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Form-Schema-Source', 'static');
+  res.status(200).json(staticFields);
+};
@@ -0,0 +1,411 @@
+/**
+ * Secure Backend API Endpoint for HubSpot Form Submissions
+ * Accepts the payload built by dynamicFormHandler.js, attaches the HubSpot access token
+ * on the server and forwards it to the secure submit endpoint.
+ * The token never leaves this function.
+ * Every submission must carry a reCAPTCHA Enterprise token, which is assessed before forwarding.
+ * Clients send a submissionId so a retried submission that already went through is not forwarded twice,
+ * and so a retry after a temporary HubSpot failure is not assessed again with its already spent token.
+ * Field problems HubSpot reports (invalid or blocked email, missing required field, ...) are passed back
+ * as a list of { field, type, message } so the form can show them next to the inputs.
+ * GDPR/NDPR consent collected by the form is forwarded as HubSpot's legalConsentOptions.
+ * Files from file fields arrive as base64 in files and are only stored in the File Manager once the
+ * reCAPTCHA token has been verified; they are deleted again when HubSpot turns the submission down.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { verifyRecaptcha } = require('./_lib/recaptcha');
+const { PORTAL_ID_PATTERN, FORM_GUID_PATTERN, isAllowlistConfigured, isFormAllowed } = require('./_lib/hubspotForms');
+const { validateFiles, readFiles, storeFiles, deleteFiles } = require('./_lib/hubspotFiles');
+
+const HUBSPOT_SUBMIT_ENDPOINT = 'https://api.hsforms.com/submissions/v3/integration/secure/submit';
+
+const SUBMISSION_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// The hubspotutk tracking cookie is a 32 character hex string
+const HUTK_PATTERN = /^[0-9a-f]{32}$/i;
+
+// HubSpot names the offending field in its error messages, e.g. "Error in 'fields.email'. Invalid email address"
+const ERROR_FIELD_PATTERN = /'fields\.(?:[\d-]+\/)?([^']+)'/;
+
+// How long a forwarded submission ID is remembered
+const SUBMISSION_DEDUP_TTL_MS = 10 * 60 * 1000;
+
+// Responses to recently forwarded submissions keyed by submission ID. Only covers the warm function
+// instance, which is where quick retries after a dropped response land.
+const recentSubmissions = new Map();
+
+/**
+ * Remember a forwarded submission and drop entries that have expired
+ */
+const rememberSubmission = (submissionId, response) => {
+  const now = Date.now();
+
+  recentSubmissions.forEach((entry, id) => {
+    if (entry.expiresAt <= now) recentSubmissions.delete(id);
+  });
+
+  recentSubmissions.set(submissionId, { response, expiresAt: now + SUBMISSION_DEDUP_TTL_MS });
+};
+
+/**
+ * The response already sent for a submission ID, if it is still remembered
+ */
+const getRememberedSubmission = (submissionId) => {
+  const entry = submissionId ? recentSubmissions.get(submissionId) : null;
+  return entry && entry.expiresAt > Date.now() ? entry.response : null;
+};
+
+// Submissions whose reCAPTCHA token was accepted but that were not forwarded yet, keyed by submission ID.
+// Holds a hash of the payload so the ID only vouches for the submission it was verified with.
+const verifiedSubmissions = new Map();
+
+/**
+ * Hash of everything a verified submission forwards, to recognise an unchanged retry
+ */
+const getPayloadHash = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([body.portalId, body.formGuid, body.fields, body.files || [], body.legalConsentOptions || null]))
+  .digest('hex');
+
+/**
+ * Remember that a submission passed reCAPTCHA verification and drop entries that have expired
+ */
+const rememberVerification = (submissionId, payloadHash) => {
+  const now = Date.now();
+
+  verifiedSubmissions.forEach((entry, id) => {
+    if (entry.expiresAt <= now) verifiedSubmissions.delete(id);
+  });
+
+  verifiedSubmissions.set(submissionId, { payloadHash, expiresAt: now + SUBMISSION_DEDUP_TTL_MS });
+};
+
+/**
+ * Whether an unchanged retry of this submission already passed reCAPTCHA verification
+ */
+const isVerifiedRetry = (submissionId, payloadHash) => {
+  const entry = submissionId ? verifiedSubmissions.get(submissionId) : null;
+  return Boolean(entry && entry.expiresAt > Date.now() && entry.payloadHash === payloadHash);
+};
+
+/**
+ * Validate the consent the form collected and return an error message, or null when it can be forwarded
+ */
+const validateLegalConsent = (options) => {
+  const consent = options && typeof options === 'object' ? options.consent : null;
+
+  if (!consent || typeof consent !== 'object' || typeof consent.text !== 'string' || !Array.isArray(consent.communications)) {
+    return 'legalConsentOptions must contain consent with text and communications';
+  }
+
+  if (consent.consentToProcess !== true) {
+    return 'Consent to process personal data is required';
+  }
+
+  const invalidCommunication = consent.communications.find((communication) =>
+    !communication
+    || typeof communication.value !== 'boolean'
+    || !Number.isInteger(communication.subscriptionTypeId)
+    || typeof communication.text !== 'string'
+  );
+  if (invalidCommunication) {
+    return 'Every consent communication needs a boolean value, a subscriptionTypeId and text';
+  }
+
+  return null;
+};
+
+/**
+ * Validate the incoming request body and return an error message, or null when it is usable
+ */
+const validatePayload = (body) => {
+  if (!body || typeof body !== 'object') {
+    return 'Request body must be a JSON object';
+  }
+
+  if (!PORTAL_ID_PATTERN.test(String(body.portalId || ''))) {
+    return 'A numeric portalId is required';
+  }
+
+  if (!FORM_GUID_PATTERN.test(String(body.formGuid || ''))) {
+    return 'A valid formGuid is required';
+  }
+
+  if (!Array.isArray(body.fields) || body.fields.length === 0) {
+    return 'At least one field is required';
+  }
+
+  const invalidField = body.fields.find((field) =>
+    !field || typeof field.name !== 'string' || field.name === '' || field.value === undefined
+  );
+  if (invalidField) {
+    return 'Every field needs a name and a value';
+  }
+
+  if (body.submissionId !== undefined && !SUBMISSION_ID_PATTERN.test(String(body.submissionId))) {
+    return 'submissionId must be 8 to 64 letters, digits, dashes or underscores';
+  }
+
+  if (body.files !== undefined) {
+    const filesError = validateFiles(body.files);
+    if (filesError) return filesError;
+  }
+
+  if (body.legalConsentOptions !== undefined) {
+    const consentError = validateLegalConsent(body.legalConsentOptions);
+    if (consentError) return consentError;
+  }
+
+  if (!isFormAllowed(body.portalId, body.formGuid)) {
+    return 'This form is not accepted by this endpoint';
+  }
+
+  return null;
+};
+
+/**
+ * The visitor's IP address as seen by the platform proxy in front of this function
+ */
+const getClientIp = (req) => {
+  const forwardedFor = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  const ipAddress = forwardedFor || String(req.headers['x-real-ip'] || '').trim();
+  return net.isIP(ipAddress) ? ipAddress : null;
+};
+
+/**
+ * Build the body HubSpot expects from the client payload and the URLs of the stored files.
+ * Only known keys are forwarded so clients cannot smuggle extra options through the proxy,
+ * and the reCAPTCHA token stays on our side. The IP address comes from the request, not the client.
+ */
+const buildHubspotBody = (body, storedFiles, ipAddress) => {
+  const hubspotBody = {
+    fields: [...body.fields, ...storedFiles.map((file) => ({ ...file, value: file.url }))].map((field) => ({
+      objectTypeId: field.objectTypeId || '0-1',
+      name: field.name,
+      value: String(field.value),
+    })),
+  };
+
+  const context = body.context && typeof body.context === 'object' ? body.context : {};
+
+  hubspotBody.context = {
+    pageUri: context.pageUri,
+    pageName: context.pageName,
+  };
+
+  // HubSpot rejects the whole submission over a malformed hutk, so one that does not look right is dropped
+  if (typeof context.hutk === 'string' && HUTK_PATTERN.test(context.hutk)) {
+    hubspotBody.context.hutk = context.hutk;
+  }
+
+  if (ipAddress) {
+    hubspotBody.context.ipAddress = ipAddress;
+  }
+
+  if (body.legalConsentOptions) {
+    const { consent } = body.legalConsentOptions;
+    hubspotBody.legalConsentOptions = {
+      consent: {
+        consentToProcess: consent.consentToProcess,
+        text: consent.text,
+        communications: consent.communications.map((communication) => ({
+          value: communication.value,
+          subscriptionTypeId: communication.subscriptionTypeId,
+          text: communication.text,
+        })),
+      },
+    };
+  }
+
+  return hubspotBody;
+};
+
+/**
+ * Read the HubSpot response body, which may be empty or non-JSON on gateway errors
+ */
+const readResponseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return {};
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { message: text };
+  }
+};
+
+/**
+ * Normalize HubSpot's errors array into { field, type, message } entries.
+ * field is null for errors that are not about a single field, such as an invalid page URI.
+ */
+const getSubmissionErrors = (result) => {
+  if (!Array.isArray(result.errors)) return [];
+
+  return result.errors
+    .filter((error) => error && typeof error === 'object')
+    .map((error) => {
+      const message = typeof error.message === 'string' ? error.message : '';
+      const fieldMatch = ERROR_FIELD_PATTERN.exec(message);
+
+      return {
+        field: fieldMatch ? fieldMatch[1] : null,
+        type: typeof error.errorType === 'string' ? error.errorType : 'UNKNOWN',
+        message: message.replace(/^Error in '[^']*'\.\s*/, '') || 'Invalid value',
+      };
+    });
+};
+
+module.exports = async (req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.status(405).json({ success: false, error: 'method_not_allowed', message: 'Method not allowed' });
+    return;
+  }
+
+  // Retrieve token from environment variable
+  const accessToken = process.env.HUBSPOT_ACCESS_TOKEN;
+
+  if (!accessToken) {
+    console.error('[HubSpotSubmit] HUBSPOT_ACCESS_TOKEN environment variable is not set');
+    res.status(500).json({ success: false, error: 'not_configured', message: 'Submission endpoint is not configured' });
+    return;
+  }
+
+  if (!isAllowlistConfigured()) {
+    console.error('[HubSpotSubmit] Set HUBSPOT_ALLOWED_FORMS or HUBSPOT_PORTAL_ID and HUBSPOT_FORM_GUID to accept submissions');
+    res.status(500).json({ success: false, error: 'not_configured', message: 'Submission endpoint is not configured' });
+    return;
+  }
+
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body || '{}');
+    } catch (error) {
+      body = null;
+    }
+  }
+
+  const validationError = validatePayload(body);
+
+  if (validationError) {
+    res.status(400).json({ success: false, error: 'invalid_payload', message: validationError });
+    return;
+  }
+
+  // A retry of a submission that was already forwarded gets the same answer; checked before the
+  // reCAPTCHA assessment because the retried token has already been spent
+  const rememberedResponse = getRememberedSubmission(body.submissionId);
+
+  if (rememberedResponse) {
+    console.log('[HubSpotSubmit] Duplicate submission ignored:', body.submissionId);
+    res.status(200).json({ ...rememberedResponse, duplicate: true });
+    return;
+  }
+
+  // Files are checked before the assessment so one that is turned down does not spend the token
+  const files = readFiles(body.files || []);
+
+  if (files.error) {
+    res.status(files.status).json({ success: false, error: files.error, message: files.message });
+    return;
+  }
+
+  // A retry after a temporary failure carries the token that was spent on the first attempt
+  const payloadHash = getPayloadHash(body);
+
+  if (isVerifiedRetry(body.submissionId, payloadHash)) {
+    console.log('[HubSpotSubmit] Retry of a verified submission:', body.submissionId);
+  } else {
+    const captcha = await verifyRecaptcha(body.recaptchaToken);
+
+    if (!captcha.ok) {
+      res.status(captcha.status).json({ success: false, error: captcha.reason, message: 'reCAPTCHA verification failed' });
+      return;
+    }
+
+    if (body.submissionId) {
+      rememberVerification(body.submissionId, payloadHash);
+    }
+  }
+
+  let storedFiles;
+  try {
+    storedFiles = await storeFiles(files.files, accessToken);
+  } catch (error) {
+    console.error('[HubSpotSubmit] Error storing files:', error);
+    res.status(502).json({ success: false, error: 'upload_failed', message: 'HubSpot did not accept the file' });
+    return;
+  }
+
+  try {
+    const response = await fetch(`${HUBSPOT_SUBMIT_ENDPOINT}/${body.portalId}/${body.formGuid}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify(buildHubspotBody(body, storedFiles, getClientIp(req))),
+    });
+
+    const result = await readResponseBody(response);
+
+    if (!response.ok) {
+      console.error('[HubSpotSubmit] HubSpot rejected submission:', response.status, result);
+
+      // Files of a submission that did not go through would otherwise be left in the File Manager
+      await deleteFiles(storedFiles.map((file) => file.id).filter(Boolean), accessToken);
+
+      // A 400 with errors is a problem with the submitted values, which the user can fix
+      const errors = response.status === 400 ? getSubmissionErrors(result) : [];
+
+      if (errors.length > 0) {
+        res.status(400).json({
+          success: false,
+          error: 'validation_failed',
+          message: result.message || 'Some fields were rejected',
+          errors: errors,
+        });
+        return;
+      }
+
+      res.status(response.status === 429 ? 429 : 502).json({
+        success: false,
+        error: response.status === 429 ? 'rate_limited' : 'hubspot_error',
+        message: result.message || 'HubSpot rejected the submission',
+      });
+      return;
+    }
+
+    const successResponse = {
+      success: true,
+      inlineMessage: result.inlineMessage || null,
+      redirectUri: result.redirectUri || null,
+    };
+
+    if (body.submissionId) {
+      rememberSubmission(body.submissionId, successResponse);
+      verifiedSubmissions.delete(body.submissionId);
+    }
+
+    res.status(200).json(successResponse);
+  } catch (error) {
+    console.error('[HubSpotSubmit] Error forwarding submission:', error);
+    await deleteFiles(storedFiles.map((file) => file.id).filter(Boolean), accessToken);
+    res.status(502).json({ success: false, error: 'upstream_unavailable', message: 'Could not reach HubSpot' });
+  }
+};
@@ -2,191 +2,721 @@
  * Dynamic Form Handler - FULLY JSON-CONTROLLED
  * All form fields, reCAPTCHA, and submit button rendered from formFields.json
  * Features: Error modal, working preloader, empty state placeholder
+ * Several forms can live on one page: DynamicFormHandler.create(element, options) mounts an
+ * independent instance with its own schema, HubSpot form, state and reCAPTCHA widget.
+ * Forms can also be mounted from markup alone:
+ *   <div data-dynamic-form data-schema-url="../data/formFields.json" data-hubspot-form="<form guid>">
+ * Other scripts can follow a form through instance.on('success', handler), the on* options of create(),
+ * or the bubbling dynamicform:* DOM events, e.g. document.addEventListener('dynamicform:success', ...).
+ * Text follows the form language (the locale option, ?lang= or <html lang>): messages come from
+ * data/locales/<locale>.json and field text from the translations block of each formFields.json entry.
+ * Styling lives in css/dynamicForm.css: state is set as classes (is-invalid, is-disabled, is-loading, is-hidden)
+ * and colors come from --df-* custom properties, themed by the schema's theme entry or the theme option.
+ * After a submission the submit entry's successAction shows a message, redirects, offers a booking link
+ * or opens a thank-you modal; HubSpot's redirectUri and inlineMessage are used when the response has them.
  */
 
 const DynamicFormHandler = (() => {
-  // Configuration
-  const CONFIG = {
+  // Default configuration, overridden per form by the options passed to create()
+  const DEFAULT_OPTIONS = {
     formFieldsUrl: '../data/formFields.json',
     hubspotPortalId: '26055346',
-    hubspotFormGuid: '66851a67-87da-466c-b329-ee915bb8312f',
-    hubspotApiEndpoint: 'https://api.hsforms.com/submissions/v3/integration/secure/submit',
+    // Required: the HubSpot form this instance submits to
+    hubspotFormGuid: null,
+    // Serverless endpoint that serves the form definition live from HubSpot.
+    // Set to null to always render the static formFieldsUrl.
+    schemaEndpoint: '/api/hubspot-form',
+    // JSON Schema the loaded fields are checked against in developer mode, and the validator that checks them.
+    // The validator is loaded on demand unless js/formSchemaValidator.js is already on the page.
+    schemaDefinitionUrl: '../data/formFields.schema.json',
+    schemaValidatorUrl: '../js/formSchemaValidator.js',
+    // Developer mode checks the loaded fields and lists configuration problems above the form.
+    // Defaults to on for localhost and for URLs with ?form-debug.
+    debug: null,
+    // Serverless proxy that adds the HubSpot token and forwards to the secure submit endpoint
+    submitEndpoint: '/api/hubspot-submit',
+    // Container inside the form that fields are rendered into
+    fieldsSelector: '.circle-form_fields',
+    // Modal wrapper (element or selector) that locks page scroll while it is open
+    modal: null,
+    // Page name reported to HubSpot with each submission
+    pageName: null,
+    // Prefix for generated element ids, so two forms can share field names. Defaults to a unique prefix.
+    idPrefix: null,
+    // Autosave what the user has typed and restore it on the next visit or when the modal reopens
+    saveDrafts: true,
+    // Language for labels and messages, e.g. 'fr' or 'pt-BR'. Defaults to ?lang= in the URL, then <html lang>.
+    locale: null,
+    // Folder holding a <locale>.json message catalog per language; English is built in
+    localesUrl: '../data/locales',
+    // Theme tokens, e.g. { primary: '#FF6B00', radius: '4px' } or { '--df-color-error': '#D00' }.
+    // Set as CSS custom properties on the form and win over the schema's theme entry.
+    theme: null,
+    // Show text, select and textarea labels to screen readers only, leaving the placeholder as the visible label.
+    // Set to false to show them; a field with labelHidden in the schema keeps its label hidden either way.
+    hideInputLabels: true,
+    // Hidden HubSpot properties filled with marketing attribution, keyed by attribution value.
+    // Only properties the form renders as hidden fields are filled.
+    attributionFields: {
+      utm_source: 'utm_source',
+      utm_medium: 'utm_medium',
+      utm_campaign: 'utm_campaign',
+      utm_term: 'utm_term',
+      utm_content: 'utm_content',
+      gclid: 'gclid',
+      fbclid: 'fbclid',
+      referrer: 'first_touch_referrer',
+    },
+    // Push funnel events (form_view, field_focus, submit_success, ...) to the GTM/GA4 dataLayer
+    analytics: true,
+    dataLayerName: 'dataLayer',
+    // Meta Pixel event tracked with fbq after a successful submission, e.g. 'Lead'. Off when null.
+    metaPixelEvent: null,
+    // Lifecycle callbacks, the same as calling instance.on() with the matching event
+    onReady: null,
+    onChange: null,
+    onValidate: null,
+    // May change the payload, or return false (or a promise of false) to cancel the submission
+    beforeSubmit: null,
+    onSuccess: null,
+    onError: null,
   };
 
-  let formFields = [];
-  let formData = {};
-  let recaptchaToken = null;
-  let recaptchaConfig = null;
-  let submitButtonConfig = null;
+  // Lifecycle events instances emit, and the create() options that subscribe to them
+  const LIFECYCLE_CALLBACK_OPTIONS = {
+    onReady: 'ready',
+    onChange: 'change',
+    onValidate: 'validate',
+    beforeSubmit: 'beforeSubmit',
+    onSuccess: 'success',
+    onError: 'error',
+  };
+
+  // Data attributes read from a [data-dynamic-form] container, keyed by dataset name, mapped to create() options
+  const DATA_ATTRIBUTE_OPTIONS = {
+    schemaUrl: 'formFieldsUrl',
+    schemaEndpoint: 'schemaEndpoint',
+    hubspotForm: 'hubspotFormGuid',
+    hubspotPortal: 'hubspotPortalId',
+    submitEndpoint: 'submitEndpoint',
+    pageName: 'pageName',
+    modal: 'modal',
+    idPrefix: 'idPrefix',
+    debug: 'debug',
+    saveDrafts: 'saveDrafts',
+    locale: 'locale',
+    localesUrl: 'localesUrl',
+    analytics: 'analytics',
+    metaPixelEvent: 'metaPixelEvent',
+    theme: 'theme',
+    hideInputLabels: 'hideInputLabels',
+  };
+
+  // Language the built-in messages and the formFields.json text are written in
+  const DEFAULT_LOCALE = 'en';
+
+  // Query parameter that picks the form language, e.g. ?lang=fr
+  const LOCALE_PARAMETER = 'lang';
+
+  // A BCP 47 language tag such as fr, pt-br or zh-hant-tw, lowercased
+  const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+  // Built-in English messages. Other languages are loaded from <localesUrl>/<locale>.json, and keys a catalog
+  // leaves out fall back to these. {name} placeholders are filled in when a message is shown; a message given
+  // as plural forms ({ one, other }) is picked by its {count}.
+  const DEFAULT_MESSAGES = {
+    loadFailed: 'Unable to load form. Please refresh the page and try again.',
+    containerMissing: 'Form container not found. Please refresh the page.',
+    errorModalTitle: 'Oops!',
+    errorModalButton: 'Got it',
+    submitting: 'Submitting your request...',
+    submitButton: 'Submit',
+    stepTitle: 'Step {number}',
+    stepBack: 'Back',
+    stepNext: 'Next',
+    phoneCountryLabel: 'Country code',
+    fieldsNeedAttention: {
+      one: '{count} field needs your attention.',
+      other: '{count} fields need your attention.',
+    },
+    required: 'This field is required.',
+    selectOption: 'Please select an option.',
+    selectAtLeastOne: 'Please select at least one option.',
+    tickBox: 'Please tick this box to continue.',
+    consentRequired: 'Please agree to let us store and process your personal data to continue.',
+    chooseFile: 'Please choose a file.',
+    fileTooLarge: 'Please choose a file smaller than {size} MB.',
+    fileTypeNotSupported: 'This file type is not supported.',
+    invalidEmail: 'Please enter a valid email address.',
+    invalidLinkedin: 'Please enter your LinkedIn profile URL, e.g. linkedin.com/in/your-name.',
+    invalidNumber: 'Please enter a valid number.',
+    numberBetween: 'Please enter a number between {min} and {max}.',
+    numberAtLeast: 'Please enter {min} or more.',
+    numberAtMost: 'Please enter {max} or less.',
+    numberOutOfRange: 'This number is outside the allowed range.',
+    invalidDate: 'Please enter a valid date.',
+    invalidPhone: 'Please enter a valid phone number.',
+    invalidCountryPhone: 'Please enter a valid {country} phone number.',
+    phoneTooShort: 'Phone number must have at least {min} digits.',
+    phoneTooLong: 'Phone number must have no more than {max} digits.',
+    emailBlocked: 'Please use a different email address.',
+    workEmailRequired: 'Please use your work email address.',
+    blockedEmail: 'This email address can\'t be used. Please use your work email address.',
+    inputTooLarge: 'This answer is too long. Please shorten it.',
+    chooseAvailableOption: 'Please choose one of the available options.',
+    checkAnswer: 'Please check this answer and try again.',
+    captchaMissing: 'Please complete the reCAPTCHA verification before submitting.',
+    captchaExpired: 'Your verification expired. Please complete the reCAPTCHA again.',
+    captchaInvalid: 'We could not verify your request. Please complete the reCAPTCHA again.',
+    captchaLowScore: 'We could not confirm you are human. Please try again, or reach out to us if this keeps happening.',
+    captchaUnavailable: 'Verification is temporarily unavailable. Please try again in a few minutes.',
+    captchaTokenMissing: 'Security verification failed. Please complete the reCAPTCHA and try again.',
+    uploadFailed: 'We could not upload your file. Please try again or choose a different file.',
+    submitNetworkError: 'An unexpected error occurred. Please check your connection and try again.',
+    submitRejectedFields: 'Some of your answers could not be accepted. Please check the form and try again.',
+    submitFailed: 'Sorry, we could not submit your request. Please try again later.',
+    queuedOffline: 'You\'re offline. We\'ve saved your submission and will send it when you\'re back online.',
+    queuedRetrying: 'We couldn\'t reach our servers. We\'ve saved your submission and will keep trying in the background.',
+    queuedNeedsVerification: 'We saved your earlier submission but could not send it in time. Please check your details, complete the verification and submit again.',
+    draftSaved: 'Your answers are saved on this device.',
+    draftStartOver: 'Start over',
+    successTitle: 'Hey there!',
+    successMessage: 'Thanks for submitting the form! We\'ll be in touch soon.',
+    successSignOff: 'Love,',
+    successSignature: 'The Circle Team 💙',
+    successModalButton: 'Close',
+    bookingLink: 'Book a time',
+  };
+
+  // Entry properties replaced by a formFields.json translation. Option labels, step titles and
+  // consent subscription labels are translated through the options, stepTitles and communications maps.
+  const TRANSLATABLE_PROPERTIES = [
+    'label', 'description', 'placeholder', 'unselectedLabel', 'buttonText', 'nextButtonText', 'backButtonText',
+    'communicationsText', 'processingText', 'processingLabel', 'privacyText',
+  ];
+
+  // Message keys for reCAPTCHA rejection codes returned by the submit endpoint
+  const CAPTCHA_ERROR_MESSAGES = {
+    captcha_missing: 'captchaMissing',
+    captcha_expired: 'captchaExpired',
+    captcha_invalid: 'captchaInvalid',
+    captcha_action_mismatch: 'captchaInvalid',
+    captcha_hostname_mismatch: 'captchaInvalid',
+    captcha_low_score: 'captchaLowScore',
+    captcha_unavailable: 'captchaUnavailable',
+  };
+
+  // Submit endpoint error codes for files it could not accept or store
+  const FILE_ERRORS = ['invalid_file', 'file_too_large', 'upload_failed'];
+
+  // Message keys for the HubSpot field error types returned by the submit endpoint
+  const SUBMISSION_FIELD_ERROR_MESSAGES = {
+    INVALID_EMAIL: 'invalidEmail',
+    BLOCKED_EMAIL: 'blockedEmail',
+    REQUIRED_FIELD: 'required',
+    INVALID_NUMBER: 'invalidNumber',
+    NUMBER_OUT_OF_RANGE: 'numberOutOfRange',
+    NUM_OUT_OF_RANGE: 'numberOutOfRange',
+    INPUT_TOO_LARGE: 'inputTooLarge',
+    VALUE_NOT_IN_FIELD_DEFINITION: 'chooseAvailableOption',
+  };
+  const DEFAULT_SUBMISSION_FIELD_ERROR = 'checkAnswer';
+
+  // Free email providers rejected when a field sets validation.useDefaultBlockList
+  const FREE_EMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'hotmail.com',
+    'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com',
+    'mail.com', 'gmx.com', 'zoho.com', 'protonmail.com', 'proton.me', 'yandex.com',
+  ];
+
+  // Characters allowed in a phone number when validation.checkPhoneFormat is set
+  const PHONE_FORMAT_PATTERN = /^\+?[\d\s\-().]+$/;
+
+  // Basic shape of an email address: local part, @, domain with a dot-separated TLD
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[^\s@.]{2,}$/;
+
+  // A LinkedIn public profile handle as it appears after linkedin.com/in/
+  const LINKEDIN_HANDLE_PATTERN = /^[A-Za-z0-9\-_%]{3,100}$/;
+
+  // Countries offered by the phone country picker.
+  // lengths: allowed digits in the national number (without trunk prefix), groups: display grouping,
+  // trunkPrefix: leading digit dialled domestically that is dropped in international format,
+  // areaCodes: tells countries that share a dial code apart (the one without areaCodes takes the rest)
+  const PHONE_COUNTRIES = [
+    { code: 'NG', name: 'Nigeria', dialCode: '234', lengths: [8, 10], groups: [3, 3, 4], trunkPrefix: '0' },
+    { code: 'GH', name: 'Ghana', dialCode: '233', lengths: [9, 9], groups: [2, 3, 4], trunkPrefix: '0' },
+    { code: 'KE', name: 'Kenya', dialCode: '254', lengths: [9, 9], groups: [3, 3, 3], trunkPrefix: '0' },
+    { code: 'ZA', name: 'South Africa', dialCode: '27', lengths: [9, 9], groups: [2, 3, 4], trunkPrefix: '0' },
+    { code: 'EG', name: 'Egypt', dialCode: '20', lengths: [8, 10], groups: [2, 4, 4], trunkPrefix: '0' },
+    { code: 'UG', name: 'Uganda', dialCode: '256', lengths: [9, 9], groups: [3, 3, 3], trunkPrefix: '0' },
+    { code: 'TZ', name: 'Tanzania', dialCode: '255', lengths: [9, 9], groups: [3, 3, 3], trunkPrefix: '0' },
+    { code: 'RW', name: 'Rwanda', dialCode: '250', lengths: [9, 9], groups: [3, 3, 3], trunkPrefix: '0' },
+    { code: 'ET', name: 'Ethiopia', dialCode: '251', lengths: [9, 9], groups: [2, 3, 4], trunkPrefix: '0' },
+    { code: 'ZM', name: 'Zambia', dialCode: '260', lengths: [9, 9], groups: [2, 3, 4], trunkPrefix: '0' },
+    { code: 'ZW', name: 'Zimbabwe', dialCode: '263', lengths: [9, 9], groups: [2, 3, 4], trunkPrefix: '0' },
+    { code: 'MA', name: 'Morocco', dialCode: '212', lengths: [9, 9], groups: [3, 2, 2, 2], trunkPrefix: '0' },
+    { code: 'CI', name: "Côte d'Ivoire", dialCode: '225', lengths: [10, 10], groups: [2, 2, 2, 2, 2], trunkPrefix: null },
+    { code: 'SN', name: 'Senegal', dialCode: '221', lengths: [9, 9], groups: [2, 3, 2, 2], trunkPrefix: null },
+    { code: 'CM', name: 'Cameroon', dialCode: '237', lengths: [9, 9], groups: [1, 2, 2, 2, 2], trunkPrefix: null },
+    { code: 'GB', name: 'United Kingdom', dialCode: '44', lengths: [10, 10], groups: [4, 6], trunkPrefix: '0' },
+    { code: 'US', name: 'United States', dialCode: '1', lengths: [10, 10], groups: [3, 3, 4], trunkPrefix: null },
+    {
+      code: 'CA', name: 'Canada', dialCode: '1', lengths: [10, 10], groups: [3, 3, 4], trunkPrefix: null,
+      areaCodes: [
+        '204', '226', '236', '249', '250', '257', '263', '289', '306', '343', '354', '365', '367', '368', '382',
+        '403', '416', '418', '428', '431', '437', '438', '450', '460', '468', '474', '506', '514', '519', '548',
+        '579', '581', '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753', '778',
+        '780', '782', '807', '819', '825', '867', '873', '879', '902', '905', '942',
+      ],
+    },
+    { code: 'AE', name: 'United Arab Emirates', dialCode: '971', lengths: [8, 9], groups: [2, 3, 4], trunkPrefix: '0' },
+  ];
+
+  const DEFAULT_PHONE_COUNTRY = 'NG';
+
+  // Markup kept in descriptions and consent text, which may link to a privacy policy. Other tags are
+  // reduced to their text; script and style are dropped with their content.
+  const RICH_TEXT_TAGS = ['a', 'b', 'strong', 'i', 'em', 'u', 'br', 'p', 'span', 'ul', 'ol', 'li'];
+  const DROPPED_TAGS = ['script', 'style'];
+
+  // Link targets allowed in rich text: web, mail and phone links, and same-site paths. A path may not
+  // start with a second slash or a backslash (browsers skip tabs and newlines), which would lead to another host.
+  const SAFE_URL_PATTERN = /^(https?:|mailto:|tel:|\/(?![\/\\\t\n\r])|#)/i;
+
+  // Elements and attributes an inline submit button icon may use; anything else is left out
+  const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+  const SVG_TAGS = [
+    'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect', 'defs',
+    'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask', 'title', 'desc',
+  ];
+  const SVG_ATTRIBUTES = [
+    'viewbox', 'width', 'height', 'preserveaspectratio', 'id', 'class', 'd', 'points', 'transform',
+    'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'offset', 'gradientunits', 'gradienttransform',
+    'fill', 'fill-rule', 'fill-opacity', 'clip-rule', 'clip-path', 'mask', 'opacity', 'stop-color', 'stop-opacity',
+    'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+    'stroke-dashoffset', 'stroke-opacity',
+  ];
+
+  // Theme token names and the CSS custom properties they set; css/dynamicForm.css holds the defaults
+  const THEME_TOKENS = {
+    primary: '--df-color-primary',
+    primaryHover: '--df-color-primary-hover',
+    error: '--df-color-error',
+    success: '--df-color-success',
+    text: '--df-color-text',
+    mutedText: '--df-color-muted',
+    border: '--df-color-border',
+    background: '--df-color-background',
+    overlay: '--df-color-overlay',
+    radius: '--df-radius',
+    fontFamily: '--df-font-family',
+    buttonBackground: '--df-button-background',
+    buttonColor: '--df-button-color',
+    buttonDisabledBackground: '--df-button-disabled-background',
+    buttonDisabledColor: '--df-button-disabled-color',
+    buttonDisabledOpacity: '--df-button-disabled-opacity',
+    buttonDisabledCursor: '--df-button-disabled-cursor',
+    buttonDisabledPointerEvents: '--df-button-disabled-pointer-events',
+  };
+
+  // Submit entry enabledState/disabledState properties and the theme tokens they stand for
+  const BUTTON_STATE_TOKENS = {
+    enabledState: { backgroundColor: 'buttonBackground', color: 'buttonColor' },
+    disabledState: {
+      backgroundColor: 'buttonDisabledBackground',
+      color: 'buttonDisabledColor',
+      opacity: 'buttonDisabledOpacity',
+      cursor: 'buttonDisabledCursor',
+      pointerEvents: 'buttonDisabledPointerEvents',
+    },
+  };
+
+  // What the submit entry's successAction can do after a submission; message is the default
+  const SUCCESS_ACTION_TYPES = ['message', 'redirect', 'booking', 'modal'];
+
+  // {field_name} placeholders in success action text and URLs, filled with the submitted values
+  const SUCCESS_TEMPLATE_PATTERN = /\{([A-Za-z0-9_]+)\}/g;
+
+  // Inputs that hold a HubSpot field value
+  const FIELD_INPUT_SELECTOR = 'input[data-field-name], select[data-field-name], textarea[data-field-name]';
+
+  // Field types that take a full row instead of sharing it with a neighbour
+  const FULL_WIDTH_FIELD_TYPES = ['checkbox', 'radio', 'booleancheckbox', 'textarea', 'file'];
+
+  // Largest file accepted by file fields, and the most a field's maxFileSizeMb can allow.
+  // Files travel as base64 inside the submission, which keeps them under the serverless body limit;
+  // keep in line with MAX_UPLOAD_BYTES in api/_lib/hubspotFiles.js.
+  const MAX_FILE_SIZE_MB = 3;
+
+  // localStorage key for submissions that failed to send and are retried later
+  const SUBMISSION_QUEUE_KEY = 'dynamicForm.submissionQueue';
+
+  // Retry delays for queued submissions double from the base up to the cap
+  const RETRY_BASE_DELAY_MS = 2000;
+  const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+  // Queued submissions older than this are given up on
+  const SUBMISSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+  // reCAPTCHA tokens are valid for two minutes; leave headroom for the request itself
+  const RECAPTCHA_TOKEN_LIFETIME_MS = 110 * 1000;
+
+  // localStorage key prefix for autosaved drafts, followed by "portalId:formGuid"
+  const DRAFT_KEY_PREFIX = 'dynamicForm.draft.';
+
+  // Drafts older than this are discarded instead of restored
+  const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+  // Pause in typing before the draft is written
+  const DRAFT_SAVE_DELAY_MS = 400;
+
+  // localStorage key for the visitor's first-touch referrer and latest campaign parameters
+  const ATTRIBUTION_KEY = 'dynamicForm.attribution';
+
+  // Attribution older than this is forgotten, matching a typical ad click lookback window
+  const ATTRIBUTION_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+  // Landing page query parameters that identify a campaign
+  const CAMPAIGN_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+
+  // Keys sent with every analytics event. Unused ones are null, because GTM merges pushes into one data model
+  // and would otherwise carry a field_name or error over from an earlier event.
+  const ANALYTICS_EVENT_KEYS = ['form_id', 'form_name', 'field_name', 'step_index', 'step_title', 'error_category', 'error_message'];
+
+  // Submit endpoint error codes that are worth retrying later
+  const RETRYABLE_ERRORS = ['upstream_unavailable', 'rate_limited', 'captcha_unavailable'];
+
+  // Retryable errors the endpoint only returns after accepting the reCAPTCHA token. It remembers that for a
+  // while, so retries of those submissions do not depend on the token still being fresh.
+  const VERIFIED_RETRY_ERRORS = ['upstream_unavailable', 'rate_limited'];
+
+  // Mounted instances keyed by their form element, so a form is never mounted twice
+  const instances = new Map();
+  // Containers whose data attributes could not be mounted, so repeated init() calls report them once
+  const failedContainers = new WeakSet();
+  let instanceCount = 0;
+
+  // Message catalog requests keyed by URL, shared by every form on the page
+  const messageCatalogs = new Map();
 
   /**
-   * Initialize the dynamic form
+   * Build the message lookup for a locale. t(key, params) returns the catalog's message,
+   * or the built-in English one when the catalog has no such key.
    */
-  const init = async () => {
+  const createTranslator = (locale = DEFAULT_LOCALE, catalog = {}) => {
+    let pluralRules;
     try {
-      console.log('[DynamicForm] Initializing...');
-      
-      // Load form fields from JSON
-      await loadFormFields();
-      
-      // Extract reCAPTCHA and submit button configurations
-      extractSpecialFields();
-      
-      // Render form fields dynamically
-      renderFormFields();
-      
-      // Render reCAPTCHA if configured
-      if (recaptchaConfig && recaptchaConfig.enabled) {
-        setTimeout(() => {
-          setupRecaptcha();
-        }, 500);
-      }
-      
-      // Set up form submission
-      setupFormSubmission();
-      
-      // Setup modal scroll lock
-      setupModalScrollLock();
-      
-      console.log('[DynamicForm] Initialization complete');
+      pluralRules = new Intl.PluralRules(locale);
     } catch (error) {
-      console.error('[DynamicForm] Initialization error:', error);
-      showErrorModal('Unable to load form. Please refresh the page and try again.');
+      pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
     }
+
+    return (key, params = {}) => {
+      let message = catalog[key] !== undefined ? catalog[key] : DEFAULT_MESSAGES[key];
+
+      if (message && typeof message === 'object') {
+        message = message[pluralRules.select(params.count)] || message.other;
+      }
+
+      return String(message !== undefined ? message : key)
+        .replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+    };
   };
 
+  const translateDefault = createTranslator();
+
   /**
-   * Load form fields from JSON file
+   * Work out the form language: the locale option, then ?lang= in the URL, then <html lang>.
+   * Returns a lowercase tag such as "fr" or "pt-br", or the default locale when the tag is malformed.
    */
-  const loadFormFields = async () => {
-    try {
-      console.log('[DynamicForm] Loading form fields from:', CONFIG.formFieldsUrl);
-      
-      const response = await fetch(CONFIG.formFieldsUrl);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to load form fields: HTTP ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!Array.isArray(data) || data.length === 0) {
-        throw new Error('Form configuration is empty or invalid');
-      }
-      
-      formFields = data;
-      console.log('[DynamicForm] ✓ Loaded', formFields.length, 'form items');
-      
-    } catch (error) {
-      console.error('[DynamicForm] Error loading form fields:', error);
-      throw error;
+  const resolveLocale = (option) => {
+    const requested = option
+      || new URLSearchParams(window.location.search).get(LOCALE_PARAMETER)
+      || document.documentElement.lang
+      || DEFAULT_LOCALE;
+    const locale = String(requested).trim().replace(/_/g, '-').toLowerCase();
+
+    return LOCALE_PATTERN.test(locale) ? locale : DEFAULT_LOCALE;
+  };
+
+  /**
+   * Locales to look for, most specific first: pt-br, then pt
+   */
+  const getLocaleChain = (locale) => {
+    const language = locale.split('-')[0];
+    return language !== locale ? [locale, language] : [locale];
+  };
+
+  /**
+   * Fetch a message catalog once per page
+   */
+  const fetchMessageCatalog = (url) => {
+    if (!messageCatalogs.has(url)) {
+      messageCatalogs.set(url, fetch(url).then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      }).then((catalog) => {
+        if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+          throw new Error('Message catalog is not an object');
+        }
+        return catalog;
+      }));
     }
+
+    return messageCatalogs.get(url);
+  };
+
+  /**
+   * Find an entry's translation for the locale; translations are keyed by tags like "fr" or "pt-BR"
+   */
+  const getTranslation = (translations, locale) => {
+    if (!translations || typeof translations !== 'object') return null;
+
+    const keys = Object.keys(translations);
+    const match = getLocaleChain(locale)
+      .map((candidate) => keys.find((key) => key.replace(/_/g, '-').toLowerCase() === candidate))
+      .find(Boolean);
+
+    return match ? translations[match] : null;
   };
 
   /**
-   * Extract special field types (recaptcha, submit button) from form fields
+   * Copy of a formFields.json entry with its translation for the locale applied: the text properties,
+   * option labels keyed by option value, step titles in order and consent subscription labels keyed by
+   * subscriptionTypeId. Conditional fields are translated too; text without a translation stays as it is.
    */
-  const extractSpecialFields = () => {
-    // Find and extract reCAPTCHA config
-    const recaptchaIndex = formFields.findIndex(field => field.fieldType === 'recaptcha');
-    if (recaptchaIndex !== -1) {
-      recaptchaConfig = formFields[recaptchaIndex];
-      console.log('[DynamicForm] ✓ reCAPTCHA config found');
+  const localizeField = (field, locale) => {
+    const translation = getTranslation(field.translations, locale);
+    const localized = { ...field };
+
+    if (translation) {
+      TRANSLATABLE_PROPERTIES.forEach((property) => {
+        if (typeof translation[property] === 'string') localized[property] = translation[property];
+      });
+
+      if (translation.options && Array.isArray(field.options)) {
+        localized.options = field.options.map((option) => (typeof translation.options[option.value] === 'string'
+          ? { ...option, label: translation.options[option.value] }
+          : option));
+      }
+
+      if (typeof translation.validationMessage === 'string' && field.validation) {
+        localized.validation = { ...field.validation, message: translation.validationMessage };
+      }
+
+      if (Array.isArray(translation.stepTitles) && Array.isArray(field.steps)) {
+        localized.steps = field.steps.map((step, index) => (typeof translation.stepTitles[index] === 'string'
+          ? { ...step, title: translation.stepTitles[index] }
+          : step));
+      }
+
+      if (translation.successAction && field.successAction) {
+        localized.successAction = { ...field.successAction };
+        ['title', 'message', 'url', 'linkText'].forEach((property) => {
+          if (typeof translation.successAction[property] === 'string') localized.successAction[property] = translation.successAction[property];
+        });
+      }
+
+      if (translation.communications && Array.isArray(field.communications)) {
+        localized.communications = field.communications.map((communication) => {
+          const label = translation.communications[communication.subscriptionTypeId];
+          return typeof label === 'string' ? { ...communication, label } : communication;
+        });
+      }
     }
 
-    // Find and extract submit button config
-    const submitIndex = formFields.findIndex(field => field.fieldType === 'submit');
-    if (submitIndex !== -1) {
-      submitButtonConfig = formFields[submitIndex];
-      console.log('[DynamicForm] ✓ Submit button config found');
+    if (Array.isArray(field.dependentFieldFilters)) {
+      localized.dependentFieldFilters = field.dependentFieldFilters.map((dependency) => (dependency && dependency.dependentFormField
+        ? { ...dependency, dependentFormField: localizeField(dependency.dependentFormField, locale) }
+        : dependency));
     }
 
-    // Remove special fields from formFields array (they'll be rendered separately)
-    formFields = formFields.filter(field => 
-      field.fieldType !== 'recaptcha' && field.fieldType !== 'submit'
-    );
-    
-    console.log('[DynamicForm] Regular form fields count:', formFields.length);
+    return localized;
   };
 
   /**
-   * Render form fields dynamically
+   * A country's name in the form language, e.g. "Nigéria" in French
    */
-  const renderFormFields = () => {
-    console.log('[DynamicForm] Starting renderFormFields...');
-    
-    const fieldsContainer = document.querySelector('.circle-form_fields');
-    
-    if (!fieldsContainer) {
-      console.error('[DynamicForm] ❌ Form fields container not found!');
-      showErrorModal('Form container not found. Please refresh the page.');
-      return;
+  const getCountryName = (country, locale) => {
+    try {
+      return new Intl.DisplayNames([locale], { type: 'region' }).of(country.code) || country.name;
+    } catch (error) {
+      return country.name;
     }
+  };
 
-    // Clear existing content
-    fieldsContainer.innerHTML = '';
+  /**
+   * Get the current values of a field as an array (checkbox groups can hold several).
+   * A field that is itself hidden by a condition counts as empty.
+   */
+  const getFieldValues = (form, fieldName) => {
+    const inputs = Array.from(form.querySelectorAll(`[data-field-name="${CSS.escape(fieldName)}"]`))
+      .filter((input) => !input.disabled);
+
+    return inputs
+      .filter((input) => !isOptionInput(input) || input.checked)
+      .map((input) => input.value.trim())
+      .filter((value) => value !== '');
+  };
 
-    // Check if we have any fields to render
-    if (formFields.length === 0) {
-      renderEmptyState(fieldsContainer);
-      return;
+  /**
+   * Check one HubSpot dependent field filter against the parent's values
+   */
+  const matchesFilter = (filter, values) => {
+    const strValue = String(filter.strValue || '').toLowerCase();
+    const strValues = (filter.strValues || []).map((value) => String(value).toLowerCase());
+    const lowered = values.map((value) => value.toLowerCase());
+    const numbers = values.map(Number).filter((value) => !isNaN(value));
+    const [lowerBound, upperBound] = filter.numberValues || [];
+
+    switch (filter.operator) {
+      case 'EQ':
+        return lowered.includes(strValue);
+      case 'NEQ':
+        return !lowered.includes(strValue);
+      case 'CONTAINS':
+        return lowered.some((value) => value.includes(strValue));
+      case 'DOESNT_CONTAIN':
+        return !lowered.some((value) => value.includes(strValue));
+      case 'STR_STARTS_WITH':
+        return lowered.some((value) => value.startsWith(strValue));
+      case 'STR_ENDS_WITH':
+        return lowered.some((value) => value.endsWith(strValue));
+      case 'IS_NOT_EMPTY':
+        return values.length > 0;
+      case 'IS_EMPTY':
+        return values.length === 0;
+      case 'SET_ANY':
+        return lowered.some((value) => strValues.includes(value));
+      case 'SET_NOT_ANY':
+        return !lowered.some((value) => strValues.includes(value));
+      case 'SET_ALL':
+        return strValues.every((value) => lowered.includes(value));
+      case 'SET_EQ':
+        return strValues.length === lowered.length && strValues.every((value) => lowered.includes(value));
+      case 'LT':
+        return numbers.some((value) => value < filter.numberValue);
+      case 'LTE':
+        return numbers.some((value) => value <= filter.numberValue);
+      case 'GT':
+        return numbers.some((value) => value > filter.numberValue);
+      case 'GTE':
+        return numbers.some((value) => value >= filter.numberValue);
+      case 'BETWEEN':
+        return numbers.some((value) => value >= lowerBound && value <= upperBound);
+      default:
+        console.warn('[DynamicForm] Unsupported dependent field operator:', filter.operator);
+        return false;
     }
+  };
 
-    // Render regular form fields
-    let i = 0;
-    while (i < formFields.length) {
-      const currentField = formFields[i];
-      
-      if (currentField.fieldType === 'checkbox') {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'field-wrapper';
-        wrapper.style.gridColumn = '1 / -1';
-        wrapper.innerHTML = renderCheckboxField(currentField);
-        fieldsContainer.appendChild(wrapper);
-        i++;
-      } else {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'form-field-wrappper';
-        
-        const fieldDiv1 = document.createElement('div');
-        fieldDiv1.className = 'field-wrapper';
-        fieldDiv1.innerHTML = renderField(currentField);
-        wrapper.appendChild(fieldDiv1);
-        
-        if (i + 1 < formFields.length && formFields[i + 1].fieldType !== 'checkbox') {
-          const fieldDiv2 = document.createElement('div');
-          fieldDiv2.className = 'field-wrapper';
-          fieldDiv2.innerHTML = renderField(formFields[i + 1]);
-          wrapper.appendChild(fieldDiv2);
-          i += 2;
-        } else {
-          i++;
+  /**
+   * Escape schema text for use in HTML content or a quoted attribute value
+   */
+  const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  /**
+   * Parse markup without running it: template content is inert, so scripts do not run and images do not load
+   */
+  const parseInert = (markup) => {
+    const template = document.createElement('template');
+    template.innerHTML = String(markup);
+    return template.content;
+  };
+
+  /**
+   * Rebuild rich schema text (descriptions, consent text) with only the allowlisted tags and no attributes,
+   * apart from links, which keep a safe href and open in a new tab. Returns HTML.
+   */
+  const sanitizeRichText = (markup) => {
+    const output = document.createElement('div');
+
+    const copyChildren = (source, target) => {
+      source.childNodes.forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          target.appendChild(document.createTextNode(node.textContent));
+          return;
         }
-        
-        fieldsContainer.appendChild(wrapper);
-      }
-    }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
 
-    console.log('[DynamicForm] ✓ Regular form fields rendered');
-    
-    // Now render reCAPTCHA and submit button from JSON config
-    const form = document.getElementById('wf-form-Join-Circle-Form');
-    if (form) {
-      // Render reCAPTCHA container
-      if (recaptchaConfig && recaptchaConfig.enabled) {
-        renderRecaptchaContainer(form);
-      }
-      
-      // Render submit button
-      if (submitButtonConfig && submitButtonConfig.enabled !== false) {
-        renderSubmitButton(form);
-      }
-    }
-    
-    // Add validation listeners after fields are rendered
-    setTimeout(() => {
-      addValidationListeners();
-    }, 100);
+        const tag = node.localName;
+        if (DROPPED_TAGS.includes(tag)) return;
+        if (!RICH_TEXT_TAGS.includes(tag)) {
+          copyChildren(node, target);
+          return;
+        }
+
+        const element = document.createElement(tag);
+        if (tag === 'a') {
+          const href = (node.getAttribute('href') || '').trim();
+          if (SAFE_URL_PATTERN.test(href)) {
+            element.setAttribute('href', href);
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+          }
+        }
+        copyChildren(node, element);
+        target.appendChild(element);
+      });
+    };
+
+    copyChildren(parseInert(markup || ''), output);
+    return output.innerHTML;
+  };
+
+  /**
+   * Rebuild an inline SVG icon from the allowlisted elements and attributes. Event handlers, links,
+   * styles and url() references to anything but the icon's own gradients or clip paths are dropped.
+   * Returns the <svg> element, or null when the markup has no SVG at its root.
+   */
+  const sanitizeSvg = (markup) => {
+    const root = parseInert(markup || '').firstElementChild;
+    if (!root || root.localName !== 'svg') return null;
+
+    const copyElement = (node) => {
+      const element = document.createElementNS(SVG_NAMESPACE, node.localName);
+
+      Array.from(node.attributes).forEach((attribute) => {
+        const value = attribute.value;
+        if (!SVG_ATTRIBUTES.includes(attribute.name.toLowerCase())) return;
+        if (/url\(/i.test(value) && !/^url\(\s*#[\w-]+\s*\)$/i.test(value.trim())) return;
+        element.setAttribute(attribute.name, value);
+      });
+
+      Array.from(node.childNodes).forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          element.appendChild(document.createTextNode(child.textContent));
+        } else if (child.nodeType === Node.ELEMENT_NODE && SVG_TAGS.includes(child.localName.toLowerCase())) {
+          element.appendChild(copyElement(child));
+        }
+      });
+
+      return element;
+    };
+
+    return copyElement(root);
+  };
+
+  /**
+   * Fill {field_name} placeholders with submitted values. Each value goes through encode first,
+   * e.g. escapeHtml for messages or encodeURIComponent for URLs; fields that were not sent are left empty.
+   */
+  const fillTemplate = (template, values, encode) =>
+    String(template).replace(SUCCESS_TEMPLATE_PATTERN, (match, name) => encode(values[name] !== undefined ? values[name] : ''));
+
+  /**
+   * A URL safe to send the user to (web, mail and phone links, same-site paths), or null
+   */
+  const getSafeUrl = (url) => {
+    const trimmed = typeof url === 'string' ? url.trim() : '';
+    return trimmed && SAFE_URL_PATTERN.test(trimmed) ? trimmed : null;
   };
 
   /**
@@ -194,26 +724,10 @@ const DynamicFormHandler = (() => {
    */
   const renderEmptyState = (container) => {
     const emptyStateHTML = `
-      <div class="form-empty-state" style="
-        padding: 60px 20px;
-        text-align: center;
-        color: #666;
-        font-size: 16px;
-      ">
-        <div style="
-          width: 80px;
-          height: 80px;
-          margin: 0 auto 20px;
-          border: 3px solid #e0e0e0;
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 40px;
-          color: #ccc;
-        ">📋</div>
-        <h3 style="margin: 0 0 10px; color: #333; font-size: 20px;">Form Configuration Required</h3>
-        <p style="margin: 0; max-width: 400px; margin: 0 auto;">
+      <div class="form-empty-state">
+        <div class="form-empty-state_icon" aria-hidden="true">📋</div>
+        <h3 class="form-empty-state_title">Form Configuration Required</h3>
+        <p class="form-empty-state_text">
           No form fields have been configured yet. Please check the formFields.json file.
         </p>
       </div>
@@ -222,574 +736,656 @@ const DynamicFormHandler = (() => {
   };
 
   /**
-   * Render individual field based on type
+   * Get a field's default values from selectedOptions, or from defaultValue (";"-separated for checkboxes)
    */
-  const renderField = (field) => {
-    const fieldId = field.name;
-    const isRequired = field.required ? 'required' : '';
-    const placeholder = field.placeholder || field.unselectedLabel || '';
-
-    let fieldHTML = `<label for="${fieldId}" class="field-label hide">${field.label || placeholder}</label>`;
+  const getDefaultValues = (field) => {
+    if (Array.isArray(field.selectedOptions) && field.selectedOptions.length > 0) {
+      return field.selectedOptions.map(String);
+    }
 
-    if (field.fieldType === 'select') {
-      fieldHTML += `<select id="${fieldId}" name="${fieldId}" data-name="${field.name}" ${isRequired} class="form-input-field is-circle-select w-select" data-field-name="${field.name}" data-object-type-id="${field.objectTypeId}">`;
-      fieldHTML += `<option value="">${placeholder}...</option>`;
-      
-      if (field.options && field.options.length > 0) {
-        field.options.forEach((option) => {
-          fieldHTML += `<option value="${option.value}">${option.label}</option>`;
-        });
-      }
-      
-      fieldHTML += '</select>';
-    } else if (field.fieldType === 'phonenumber') {
-      fieldHTML += `<input type="tel" id="${fieldId}" name="${fieldId}" data-name="${field.name}" class="form-input-field is-circle w-input" placeholder="${placeholder}" ${isRequired} data-field-name="${field.name}" data-object-type-id="${field.objectTypeId}">`;
-    } else {
-      const inputType = field.fieldType === 'text' ? (field.name.includes('email') ? 'email' : 'text') : 'text';
-      fieldHTML += `<input type="${inputType}" id="${fieldId}" name="${fieldId}" data-name="${field.name}" class="form-input-field is-circle w-input" placeholder="${placeholder}" ${isRequired} data-field-name="${field.name}" data-object-type-id="${field.objectTypeId}">`;
+    if (field.defaultValue === undefined || field.defaultValue === null || field.defaultValue === '') {
+      return [];
     }
 
-    return fieldHTML;
+    return field.fieldType === 'checkbox'
+      ? String(field.defaultValue).split(';').map((value) => value.trim()).filter(Boolean)
+      : [String(field.defaultValue)];
   };
 
   /**
-   * Render checkbox field group
+   * Find a phone country by ISO code, falling back to the default country
    */
-  const renderCheckboxField = (field) => {
-    let fieldHTML = `<div class="field-label">${field.label}</div><div class="circle-form_option-wrap">`;
+  const getPhoneCountry = (code) =>
+    PHONE_COUNTRIES.find((country) => country.code === String(code || '').toUpperCase()) ||
+    PHONE_COUNTRIES.find((country) => country.code === DEFAULT_PHONE_COUNTRY);
 
-    if (field.options && field.options.length > 0) {
-      field.options.forEach((option) => {
-        const checkboxId = `${field.name}_${option.value.replace(/\s+/g, '_').toLowerCase()}`;
-        fieldHTML += `
-          <label class="w-checkbox">
-            <div class="w-checkbox-input w-checkbox-input--inputType-custom circle-checkbox"></div>
-            <input type="checkbox" name="${field.name}" id="${checkboxId}" value="${option.value}" data-field-name="${field.name}" data-object-type-id="${field.objectTypeId}" style="opacity:0;position:absolute;z-index:-1" ${field.required ? 'required' : ''}>
-            <span class="circle-checkbox-label w-form-label" for="${checkboxId}">${option.label}</span>
-          </label>
-        `;
-      });
+  /**
+   * Build the flag emoji for an ISO country code from regional indicator symbols
+   */
+  const getFlagEmoji = (code) =>
+    String.fromCodePoint(...code.split('').map((letter) => 0x1f1e6 + letter.charCodeAt(0) - 65));
+
+  /**
+   * Find the country whose dial code prefixes an international number (longest match wins).
+   * Countries sharing a dial code are told apart by area code; until one is typed the
+   * currently selected country is kept if it shares the dial code.
+   */
+  const findCountryByDialCode = (digits, currentCode) => {
+    const matches = PHONE_COUNTRIES.filter((country) => digits.startsWith(country.dialCode));
+    if (matches.length === 0) return null;
+
+    const dialCodeLength = Math.max(...matches.map((country) => country.dialCode.length));
+    const candidates = matches.filter((country) => country.dialCode.length === dialCodeLength);
+    if (candidates.length === 1) return candidates[0];
+
+    const areaCode = digits.slice(dialCodeLength, dialCodeLength + 3);
+    if (areaCode.length < 3) {
+      return candidates.find((country) => country.code === currentCode) || candidates[0];
     }
 
-    fieldHTML += '</div>';
-    return fieldHTML;
+    return candidates.find((country) => country.areaCodes && country.areaCodes.includes(areaCode)) ||
+      candidates.find((country) => !country.areaCodes) ||
+      candidates[0];
   };
 
   /**
-   * Render reCAPTCHA container from JSON config
+   * Whether another country uses the same dial code
    */
-  const renderRecaptchaContainer = (form) => {
-    let recaptchaContainer = form.querySelector('#recaptcha-container');
-    
-    if (!recaptchaContainer) {
-      recaptchaContainer = document.createElement('div');
-      recaptchaContainer.id = 'recaptcha-container';
-      recaptchaContainer.style.margin = '20px 0';
-      
-      // Control visibility based on JSON config
-      if (recaptchaConfig.showOnlyWhenFormValid) {
-        recaptchaContainer.style.display = 'none';
-      }
-      
-      recaptchaContainer.style.transition = 'opacity 0.3s ease';
-      
-      form.appendChild(recaptchaContainer);
-      console.log('[DynamicForm] ✓ reCAPTCHA container created');
-    }
-  };
+  const isDialCodeShared = (country) =>
+    PHONE_COUNTRIES.some((other) => other !== country && other.dialCode === country.dialCode);
 
   /**
-   * Render submit button from JSON config
+   * Get the national significant number (digits only, trunk prefix removed) for a country.
+   * A number typed with the country's dial code in front (2348031234567) has it dropped; anything
+   * still longer than the country allows is kept so the length check can report it.
    */
-  const renderSubmitButton = (form) => {
-    // Remove any existing submit buttons from HTML
-    const existingButtons = form.querySelectorAll('.circle_button.is-form-long, button[type="submit"], input[type="submit"]');
-    existingButtons.forEach(btn => btn.remove());
+  const getNationalNumber = (value, country) => {
+    let digits = value.replace(/\D/g, '');
 
-    // Create button from JSON config
-    const submitButton = document.createElement('a');
-    submitButton.href = '#';
-    submitButton.className = submitButtonConfig.buttonClasses || 'circle_button is-form-long w-inline-block';
-    
-    const buttonBg = document.createElement('div');
-    buttonBg.className = 'circle_btn-bg';
-    
-    const buttonText = document.createElement('div');
-    buttonText.textContent = submitButtonConfig.buttonText || submitButtonConfig.text || 'Submit';
-    buttonBg.appendChild(buttonText);
-    
-    if (submitButtonConfig.buttonIcon) {
-      const iconDiv = document.createElement('div');
-      iconDiv.className = 'icon-size-20px w-embed';
-      iconDiv.innerHTML = submitButtonConfig.buttonIcon;
-      buttonBg.appendChild(iconDiv);
+    if (digits.length > country.lengths[1] && digits.startsWith(country.dialCode)) {
+      digits = digits.slice(country.dialCode.length);
     }
-    
-    const buttonBlBg = document.createElement('div');
-    buttonBlBg.className = 'circle_btn-bl-bg';
-    
-    submitButton.appendChild(buttonBg);
-    submitButton.appendChild(buttonBlBg);
-    
-    form.appendChild(submitButton);
-    console.log('[DynamicForm] ✓ Submit button created from JSON');
-    
-    // Apply initial disabled state
-    if (submitButtonConfig.disabledState) {
-      applyButtonState(submitButton, submitButtonConfig.disabledState);
+
+    if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+      digits = digits.slice(country.trunkPrefix.length);
     }
+
+    return digits;
   };
 
   /**
-   * Apply button state (enabled or disabled)
+   * Format a national number into the country's digit groups, e.g. 803 123 4567
    */
-  const applyButtonState = (button, stateConfig) => {
-    const buttonBg = button.querySelector('.circle_btn-bg');
-    const buttonText = button.querySelector('.circle_btn-bg > div:first-child');
-    
-    if (stateConfig.opacity) button.style.opacity = stateConfig.opacity;
-    if (stateConfig.cursor) button.style.cursor = stateConfig.cursor;
-    if (stateConfig.pointerEvents !== undefined) {
-      button.style.pointerEvents = stateConfig.pointerEvents === false ? 'none' : 'auto';
-    }
-    
-    if (buttonBg && stateConfig.backgroundColor !== undefined) {
-      buttonBg.style.backgroundColor = stateConfig.backgroundColor;
-    }
-    
-    if (buttonText && stateConfig.color !== undefined) {
-      buttonText.style.color = stateConfig.color;
-    }
+  const formatNationalNumber = (digits, country) => {
+    const parts = [];
+    let position = 0;
+
+    country.groups.forEach((size, index) => {
+      if (position >= digits.length) return;
+      const isLast = index === country.groups.length - 1;
+      parts.push(digits.slice(position, isLast ? undefined : position + size));
+      position += size;
+    });
+
+    return parts.join(' ');
   };
 
   /**
-   * Enable submit button
+   * Normalize a phone input to E.164 (+2348031234567), or null when it has no digits
    */
-  const enableSubmitButton = () => {
-    const submitButton = document.querySelector('.circle_button.is-form-long');
-    if (!submitButton || !submitButtonConfig) return;
-    
-    submitButton.disabled = false;
-    applyButtonState(submitButton, submitButtonConfig.enabledState);
-    console.log('[DynamicForm] Submit button ENABLED');
+  const toE164 = (input) => {
+    const country = getPhoneCountry(input.dataset.phoneCountry);
+    const nationalNumber = getNationalNumber(input.value, country);
+    return nationalNumber ? `+${country.dialCode}${nationalNumber}` : null;
   };
 
   /**
-   * Disable submit button
+   * Check a phone input's national number length against its country
    */
-  const disableSubmitButton = () => {
-    const submitButton = document.querySelector('.circle_button.is-form-long');
-    if (!submitButton || !submitButtonConfig) return;
-    
-    submitButton.disabled = true;
-    applyButtonState(submitButton, submitButtonConfig.disabledState);
-    console.log('[DynamicForm] Submit button DISABLED');
+  const getPhoneError = (input, t = translateDefault, locale = DEFAULT_LOCALE) => {
+    const country = getPhoneCountry(input.dataset.phoneCountry);
+    const length = getNationalNumber(input.value, country).length;
+    const [min, max] = country.lengths;
+
+    if (length < min || length > max) {
+      return t('invalidCountryPhone', { country: getCountryName(country, locale) });
+    }
+
+    return null;
   };
 
   /**
-   * Setup form submission
+   * Turn a theme (an object, or JSON from a data-theme attribute) into CSS custom properties.
+   * Keys are THEME_TOKENS names or custom property names starting with --; anything else is skipped.
    */
-  const setupFormSubmission = () => {
-    const submitButton = document.querySelector('.circle_button.is-form-long');
-    if (!submitButton) {
-      console.warn('[DynamicForm] Submit button not found');
-      return;
+  const getThemeProperties = (theme) => {
+    let tokens = theme;
+
+    if (typeof theme === 'string') {
+      try {
+        tokens = JSON.parse(theme);
+      } catch (error) {
+        console.warn('[DynamicForm] Theme is not valid JSON, ignoring it:', error.message);
+        return {};
+      }
     }
 
-    // Initially disable the button
-    disableSubmitButton();
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) return {};
 
-    // Add event listeners for real-time validation
-    const form = document.getElementById('wf-form-Join-Circle-Form');
-    if (form) {
-      const inputs = form.querySelectorAll('input[data-field-name], select[data-field-name], textarea[data-field-name]');
-      inputs.forEach((input) => {
-        input.addEventListener('change', updateButtonState);
-        input.addEventListener('input', updateButtonState);
-      });
-    }
-
-    submitButton.addEventListener('click', async (e) => {
-      e.preventDefault();
-      
-      console.log('[DynamicForm] Submit button clicked');
-      
-      if (!(await validateForm())) {
-        console.log('[DynamicForm] Form validation failed');
-        showErrorModal('Please fill out all required fields correctly.');
-        return;
-      }
+    return Object.keys(tokens).reduce((properties, key) => {
+      const property = key.startsWith('--') ? key : THEME_TOKENS[key];
+      const value = tokens[key];
 
-      // Check reCAPTCHA if enabled
-      if (recaptchaConfig && recaptchaConfig.enabled && !recaptchaToken) {
-        console.log('[DynamicForm] reCAPTCHA not completed');
-        showErrorModal('Please complete the reCAPTCHA verification before submitting.');
-        return;
+      if (!property) {
+        console.warn('[DynamicForm] Unknown theme token:', key);
+      } else if ((typeof value === 'string' && value.trim() !== '') || typeof value === 'number') {
+        properties[property] = String(value);
       }
-
-      console.log('[DynamicForm] All validations passed, submitting form');
-      await submitForm();
-    });
+      return properties;
+    }, {});
   };
 
   /**
-   * Update submit button state based on form validation
+   * Theme properties for the submit entry's enabledState and disabledState, which predate the theme tokens
    */
-  const updateButtonState = () => {
-    const submitButton = document.querySelector('.circle_button.is-form-long');
-    if (!submitButton) return;
+  const getButtonStateProperties = (submitConfig) => {
+    const tokens = {};
 
-    const isFormValid = isFormFieldsValid();
-    const isCaptchaValid = recaptchaConfig && recaptchaConfig.enabled ? recaptchaToken !== null : true;
+    Object.keys(BUTTON_STATE_TOKENS).forEach((stateName) => {
+      const state = (submitConfig && submitConfig[stateName]) || {};
 
-    // Update reCAPTCHA visibility if configured
-    if (recaptchaConfig && recaptchaConfig.enabled && recaptchaConfig.showOnlyWhenFormValid) {
-      updateRecaptchaVisibility();
-    }
+      Object.keys(BUTTON_STATE_TOKENS[stateName]).forEach((key) => {
+        if (state[key] === undefined) return;
+        tokens[BUTTON_STATE_TOKENS[stateName][key]] = typeof state[key] === 'boolean'
+          ? (state[key] ? 'auto' : 'none')
+          : state[key];
+      });
+    });
 
-    if (isFormValid && isCaptchaValid) {
-      enableSubmitButton();
-    } else {
-      disableSubmitButton();
-    }
+    return getThemeProperties(tokens);
   };
 
   /**
-   * Check if all required form fields are valid
+   * Set theme custom properties on an element, replacing any a previous theme left there
    */
-  const isFormFieldsValid = () => {
-    const form = document.getElementById('wf-form-Join-Circle-Form');
-    if (!form) return false;
+  const applyThemeProperties = (element, properties) => {
+    Array.from(element.style)
+      .filter((property) => property.startsWith('--df-'))
+      .forEach((property) => element.style.removeProperty(property));
 
-    const inputs = form.querySelectorAll('input[data-field-name], select[data-field-name], textarea[data-field-name]');
-    
-    for (const input of inputs) {
-      if (input.hasAttribute('required')) {
-        if (input.type === 'checkbox') {
-          const checkboxGroup = form.querySelectorAll(`input[name="${input.name}"]`);
-          const anyChecked = Array.from(checkboxGroup).some((cb) => cb.checked);
-          if (!anyChecked) {
-            return false;
-          }
-        } else if (input.value.trim() === '') {
-          return false;
-        }
-      }
-    }
-    
-    return true;
+    Object.keys(properties).forEach((property) => element.style.setProperty(property, properties[property]));
   };
 
   /**
-   * Validate form fields
+   * Get the inputs that currently take part in validation and submission.
+   * Conditional fields that are hidden are disabled and left out.
    */
-  const validateForm = () => {
-    const form = document.getElementById('wf-form-Join-Circle-Form');
-    if (!form) return false;
+  const getActiveInputs = (form) =>
+    Array.from(form.querySelectorAll(FIELD_INPUT_SELECTOR)).filter((input) => !input.disabled);
 
-    const inputs = form.querySelectorAll('input[data-field-name], select[data-field-name], textarea[data-field-name]');
-    let isValid = true;
-    let firstInvalidField = null;
+  /**
+   * Parse a HubSpot validation.data string such as "7:20:true" into limits.
+   * The first two segments are the minimum and maximum (digits for phone numbers,
+   * the value itself for number fields); the rest is ignored.
+   */
+  const parseLengthRule = (data) => {
+    if (!data || typeof data !== 'string') return null;
 
-    inputs.forEach((input) => {
-      input.style.borderColor = '';
-      input.style.borderWidth = '';
-      
-      if (input.hasAttribute('required')) {
-        let fieldValid = true;
-        
-        if (input.type === 'checkbox') {
-          const checkboxGroup = form.querySelectorAll(`input[name="${input.name}"]`);
-          const anyChecked = Array.from(checkboxGroup).some((cb) => cb.checked);
-          if (!anyChecked) {
-            fieldValid = false;
-            isValid = false;
-            
-            const checkboxWrapper = input.closest('.circle-form_option-wrap');
-            if (checkboxWrapper) {
-              checkboxWrapper.style.border = '2px solid #ff0000';
-              checkboxWrapper.style.borderRadius = '4px';
-              checkboxWrapper.style.padding = '8px';
-            }
-            
-            if (!firstInvalidField) firstInvalidField = input;
-          } else {
-            const checkboxWrapper = input.closest('.circle-form_option-wrap');
-            if (checkboxWrapper) {
-              checkboxWrapper.style.border = '';
-              checkboxWrapper.style.padding = '';
-            }
-          }
-        } else if (input.value.trim() === '') {
-          fieldValid = false;
-          isValid = false;
-          
-          input.style.borderColor = '#ff0000';
-          input.style.borderWidth = '2px';
-          
-          if (!firstInvalidField) firstInvalidField = input;
-        }
-      }
-    });
+    const [min, max] = data.split(':').map((part) => parseInt(part, 10));
+    if (isNaN(min) && isNaN(max)) return null;
 
-    if (firstInvalidField && firstInvalidField.type !== 'checkbox') {
-      firstInvalidField.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      setTimeout(() => firstInvalidField.focus(), 500);
-    }
+    return {
+      min: isNaN(min) ? null : min,
+      max: isNaN(max) ? null : max,
+    };
+  };
 
-    return isValid;
+  /**
+   * Work out which format a field's value must follow, based on its name
+   */
+  const getFieldFormat = (field) => {
+    if (!field || !field.name) return null;
+    if (field.name.includes('linkedin')) return 'linkedin';
+    if (field.name.includes('email')) return 'email';
+    return null;
   };
 
   /**
-   * Add real-time validation styling
+   * Normalize a LinkedIn profile reference to https://www.linkedin.com/in/<handle>.
+   * Accepts full or scheme-less URLs, country subdomains and bare handles, and drops
+   * query strings and fragments (tracking params). Returns null if it is not a profile URL.
    */
-  const addValidationListeners = () => {
-    const form = document.getElementById('wf-form-Join-Circle-Form');
-    if (!form) return;
+  const normalizeLinkedinUrl = (value) => {
+    const trimmed = value.trim().replace(/^@/, '');
 
-    const inputs = form.querySelectorAll('input[data-field-name], select[data-field-name], textarea[data-field-name]');
-    
-    inputs.forEach((input) => {
-      if (input.hasAttribute('required')) {
-        
-        const validateInput = () => {
-          if (input.type === 'checkbox') {
-            const checkboxGroup = form.querySelectorAll(`input[name="${input.name}"]`);
-            const anyChecked = Array.from(checkboxGroup).some((cb) => cb.checked);
-            const checkboxWrapper = input.closest('.circle-form_option-wrap');
-            
-            if (checkboxWrapper) {
-              if (anyChecked) {
-                checkboxWrapper.style.border = '';
-                checkboxWrapper.style.padding = '';
-              } else {
-                checkboxWrapper.style.border = '2px solid #ff0000';
-                checkboxWrapper.style.borderRadius = '4px';
-                checkboxWrapper.style.padding = '8px';
-              }
-            }
-          } else {
-            if (input.value.trim() === '') {
-              input.style.borderColor = '#ff0000';
-              input.style.borderWidth = '2px';
-            } else {
-              input.style.borderColor = '';
-              input.style.borderWidth = '';
-            }
-          }
-          
-          updateButtonState();
-        };
-        
-        input.addEventListener('blur', validateInput);
-        input.addEventListener('change', validateInput);
-        input.addEventListener('input', validateInput);
-      }
-    });
+    if (LINKEDIN_HANDLE_PATTERN.test(trimmed)) {
+      return `https://www.linkedin.com/in/${trimmed}`;
+    }
+
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch (error) {
+      return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    if (host !== 'linkedin.com' && !host.endsWith('.linkedin.com')) {
+      return null;
+    }
+
+    const [section, handle] = url.pathname.split('/').filter(Boolean);
+    if (section !== 'in' || !handle || !LINKEDIN_HANDLE_PATTERN.test(handle)) {
+      return null;
+    }
+
+    return `https://www.linkedin.com/in/${handle}`;
   };
 
-  
   /**
-   * Setup reCAPTCHA v2
-  */
-  const setupRecaptcha = () => {
-    if (!recaptchaConfig || !recaptchaConfig.enabled) {
-        console.log('[DynamicForm] reCAPTCHA disabled');
-        return;
+   * Check a non-empty value against its field's format (email, LinkedIn URL)
+   */
+  const getFormatError = (field, value, t = translateDefault) => {
+    const format = getFieldFormat(field);
+
+    if (format === 'email' && !EMAIL_PATTERN.test(value)) {
+      return t('invalidEmail');
     }
 
-    if (typeof grecaptcha === 'undefined') {
-        console.warn('[DynamicForm] reCAPTCHA script not loaded, retrying...');
-        setTimeout(setupRecaptcha, 500);
-        return;
+    if (format === 'linkedin' && normalizeLinkedinUrl(value) === null) {
+      return t('invalidLinkedin');
     }
 
-    const recaptchaContainer = document.querySelector('#recaptcha-container');
-    if (!recaptchaContainer) {
-        console.warn('[DynamicForm] reCAPTCHA container not found');
-        return;
+    return null;
+  };
+
+  /**
+   * Apply the rules from a field's validation block to a non-empty value.
+   * Returns the message to show, or null when the value passes.
+   */
+  const getRuleError = (field, value, t = translateDefault) => {
+    const validation = field.validation || {};
+    const withMessage = (fallback) => validation.message || fallback;
+
+    if (field.fieldType === 'number') {
+      const number = Number(value);
+      if (isNaN(number)) {
+        return withMessage(t('invalidNumber'));
+      }
+
+      const range = parseLengthRule(validation.data);
+      if (range && ((range.min !== null && number < range.min) || (range.max !== null && number > range.max))) {
+        if (range.min !== null && range.max !== null) {
+          return withMessage(t('numberBetween', range));
+        }
+        return withMessage(range.min !== null ? t('numberAtLeast', range) : t('numberAtMost', range));
+      }
     }
 
-    try {
-        // Render reCAPTCHA v2 checkbox
-        grecaptcha.enterprise.render('recaptcha-container', {
-        sitekey: recaptchaConfig.siteKey,
-        action: 'LOGIN',
-        callback: (token) => {
-            recaptchaToken = token;
-            console.log('[DynamicForm] reCAPTCHA v2 verified successfully');
-            updateButtonState();
-        },
-        'expired-callback': () => {
-            recaptchaToken = null;
-            console.log('[DynamicForm] reCAPTCHA v2 expired');
-            updateButtonState();
-        },
-        'error-callback': () => {
-            recaptchaToken = null;
-            console.log('[DynamicForm] reCAPTCHA v2 error');
-            updateButtonState();
+    if (field.fieldType === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return withMessage(t('invalidDate'));
+    }
+
+    if (field.fieldType === 'phonenumber') {
+      if (validation.checkPhoneFormat && !PHONE_FORMAT_PATTERN.test(value)) {
+        return withMessage(t('invalidPhone'));
+      }
+
+      const lengthRule = parseLengthRule(validation.data);
+      if (lengthRule) {
+        const digits = value.replace(/\D/g, '').length;
+
+        if (lengthRule.min !== null && digits < lengthRule.min) {
+          return withMessage(t('phoneTooShort', lengthRule));
         }
-        });
 
-        console.log('[DynamicForm] ✓ reCAPTCHA v2 setup complete');
-        
-        // Set initial visibility based on config
-        if (recaptchaConfig.showOnlyWhenFormValid) {
-        updateRecaptchaVisibility();
-        } else {
-        recaptchaContainer.style.display = recaptchaConfig.visible !== false ? 'block' : 'none';
+        if (lengthRule.max !== null && digits > lengthRule.max) {
+          return withMessage(t('phoneTooLong', lengthRule));
         }
-        
-    } catch (error) {
-        console.error('[DynamicForm] Error rendering reCAPTCHA v2:', error);
+      }
+    }
+
+    const blockedAddresses = (validation.blockedEmailAddresses || []).map((entry) => entry.toLowerCase());
+    if (value.includes('@') && (blockedAddresses.length > 0 || validation.useDefaultBlockList)) {
+      const address = value.toLowerCase();
+      const domain = address.split('@').pop();
+
+      if (blockedAddresses.includes(address) || blockedAddresses.includes(domain)) {
+        return withMessage(t('emailBlocked'));
+      }
+
+      if (validation.useDefaultBlockList && FREE_EMAIL_DOMAINS.includes(domain)) {
+        return withMessage(t('workEmailRequired'));
+      }
     }
+
+    return null;
   };
 
   /**
-   * Update reCAPTCHA visibility based on form validity
+   * Whether an input is part of a checkbox or radio group
    */
-  const updateRecaptchaVisibility = () => {
-    if (!recaptchaConfig || !recaptchaConfig.showOnlyWhenFormValid) return;
-    
-    const recaptchaContainer = document.querySelector('#recaptcha-container');
-    if (!recaptchaContainer) return;
+  const isOptionInput = (input) => input.type === 'checkbox' || input.type === 'radio';
 
-    const isFormValid = isFormFieldsValid();
-    
-    if (isFormValid) {
-      recaptchaContainer.style.display = 'block';
-      recaptchaContainer.style.opacity = '1';
-    } else {
-      recaptchaContainer.style.display = 'none';
-      recaptchaContainer.style.opacity = '0';
+  /**
+   * Check a selected file against the field's accept list and size limit
+   */
+  const getFileError = (field, file, t = translateDefault) => {
+    const maxSizeMb = Math.min(field.maxFileSizeMb || MAX_FILE_SIZE_MB, MAX_FILE_SIZE_MB);
+
+    if (file.size > maxSizeMb * 1024 * 1024) {
+      return t('fileTooLarge', { size: maxSizeMb });
     }
+
+    if (field.accept) {
+      const fileName = file.name.toLowerCase();
+      const accepted = field.accept.split(',').map((type) => type.trim().toLowerCase()).some((type) => {
+        if (type.startsWith('.')) return fileName.endsWith(type);
+        if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+        return file.type === type;
+      });
+
+      if (!accepted) {
+        return t('fileTypeNotSupported');
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Read a file as base64 without the data: URL prefix
+   */
+  const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',').pop());
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+  /**
+   * Generate an ID that lets the submit endpoint recognise a retried submission
+   */
+  const generateSubmissionId = () => {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
   };
 
   /**
-   * reCAPTCHA callbacks
+   * Read the persisted submission queue. Storage can be unavailable (private mode, blocked cookies).
    */
-  window.onRecaptchaSuccess = (token) => {
-    recaptchaToken = token;
-    console.log('[DynamicForm] reCAPTCHA verified');
-    updateButtonState();
+  const readSubmissionQueue = () => {
+    try {
+      const queue = JSON.parse(window.localStorage.getItem(SUBMISSION_QUEUE_KEY) || '[]');
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const writeSubmissionQueue = (queue) => {
+    try {
+      if (queue.length > 0) {
+        window.localStorage.setItem(SUBMISSION_QUEUE_KEY, JSON.stringify(queue));
+      } else {
+        window.localStorage.removeItem(SUBMISSION_QUEUE_KEY);
+      }
+      return true;
+    } catch (error) {
+      console.warn('[DynamicForm] Could not save the submission queue:', error.message);
+      return false;
+    }
   };
 
-  window.onRecaptchaError = () => {
-    recaptchaToken = null;
-    console.log('[DynamicForm] reCAPTCHA error');
-    updateButtonState();
+  /**
+   * Update one queued submission in place, or remove it when changes is null
+   */
+  const updateQueuedSubmission = (id, changes) => {
+    const queue = readSubmissionQueue()
+      .map((entry) => (entry.id === id && changes ? { ...entry, ...changes } : entry))
+      .filter((entry) => entry.id !== id || changes);
+    writeSubmissionQueue(queue);
   };
 
-  window.onRecaptchaExpired = () => {
-    recaptchaToken = null;
-    console.log('[DynamicForm] reCAPTCHA expired');
-    updateButtonState();
+  /**
+   * Whether a queued submission's reCAPTCHA token is too old for the server to accept.
+   * Submissions the server already verified are retried on the strength of that verification instead.
+   */
+  const hasExpiredToken = (entry) =>
+    !entry.captchaVerified &&
+    Boolean(entry.payload.recaptchaToken) && Date.now() - entry.recaptchaIssuedAt > RECAPTCHA_TOKEN_LIFETIME_MS;
+
+  /**
+   * Whether a failed attempt got past the server's reCAPTCHA verification
+   */
+  const isCaptchaVerified = (outcome) => VERIFIED_RETRY_ERRORS.includes(outcome.result.error);
+
+  /**
+   * Send a submission to the submit endpoint.
+   * Resolves to { status: 'sent' | 'retry' | 'failed', result, httpStatus }; network errors and
+   * temporary server errors are 'retry', anything the server rejected outright is 'failed'.
+   */
+  const sendSubmission = async (entry) => {
+    let response;
+    try {
+      response = await fetch(entry.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(entry.payload),
+      });
+    } catch (error) {
+      console.warn('[DynamicForm] Submission request failed:', error.message);
+      return { status: 'retry', result: {}, httpStatus: 0 };
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok && result.success) {
+      return { status: 'sent', result, httpStatus: response.status };
+    }
+
+    // Gateways answer outages with bodies that are not ours, so those count as temporary too
+    const isTemporary = RETRYABLE_ERRORS.includes(result.error) || (response.status >= 500 && !result.error);
+    return { status: isTemporary ? 'retry' : 'failed', result, httpStatus: response.status };
   };
 
+  // Handlers registered by mounted instances for their queued submissions, keyed by "portalId:formGuid"
+  const queueHandlers = new Map();
+  let queueTimer = null;
+  let isProcessingQueue = false;
+
   /**
-   * Collect form data
+   * Retry queued submissions that are due, then schedule the next attempt.
+   * Runs on page load, when the browser comes back online and on the backoff timer.
    */
-  const collectFormData = () => {
-    const form = document.getElementById('wf-form-Join-Circle-Form');
-    if (!form) return { fields: [] };
+  const processSubmissionQueue = async () => {
+    if (isProcessingQueue) return;
+    isProcessingQueue = true;
+    clearTimeout(queueTimer);
+    queueTimer = null;
 
-    const fields = [];
-    const processedFields = new Set();
+    try {
+      const now = Date.now();
 
-    const inputs = form.querySelectorAll('input[data-field-name], select[data-field-name], textarea[data-field-name]');
+      for (const entry of readSubmissionQueue()) {
+        const handlers = queueHandlers.get(entry.formKey);
 
-    inputs.forEach((input) => {
-      const fieldName = input.getAttribute('data-field-name');
-      const objectTypeId = input.getAttribute('data-object-type-id');
+        if (now - entry.createdAt > SUBMISSION_MAX_AGE_MS) {
+          console.warn('[DynamicForm] Dropping queued submission that is too old:', entry.id);
+          updateQueuedSubmission(entry.id, null);
+          continue;
+        }
 
-      if (input.type === 'checkbox') {
-        if (!processedFields.has(fieldName)) {
-          processedFields.add(fieldName);
-          
-          const checkboxGroup = form.querySelectorAll(`input[name="${input.name}"]:checked`);
-          const values = Array.from(checkboxGroup).map((cb) => cb.value);
-          
-          if (values.length > 0) {
-            fields.push({
-              objectTypeId: objectTypeId,
-              name: fieldName,
-              value: values.join('; '),
-            });
+        // A spent or expired token cannot be retried; the form on this page asks for a new one
+        if (entry.needsVerification || hasExpiredToken(entry)) {
+          if (handlers) {
+            updateQueuedSubmission(entry.id, null);
+            handlers.onNeedsVerification(entry);
+          } else if (!entry.needsVerification) {
+            updateQueuedSubmission(entry.id, { needsVerification: true });
           }
+          continue;
+        }
+
+        if (entry.nextAttemptAt > now || navigator.onLine === false) continue;
+
+        const outcome = await sendSubmission(entry);
+
+        if (outcome.status === 'sent') {
+          console.log('[DynamicForm] ✓ Queued submission sent:', entry.id);
+          updateQueuedSubmission(entry.id, null);
+          if (handlers) handlers.onSent(entry, outcome.result);
+        } else if (outcome.status === 'retry') {
+          const attempts = entry.attempts + 1;
+          const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempts, RETRY_MAX_DELAY_MS);
+          updateQueuedSubmission(entry.id, {
+            attempts,
+            nextAttemptAt: Date.now() + delay,
+            captchaVerified: entry.captchaVerified || isCaptchaVerified(outcome),
+          });
+        } else if (CAPTCHA_ERROR_MESSAGES[outcome.result.error]) {
+          updateQueuedSubmission(entry.id, handlers ? null : { needsVerification: true });
+          if (handlers) handlers.onNeedsVerification(entry);
+        } else {
+          console.error('[DynamicForm] Queued submission rejected:', outcome.httpStatus, outcome.result);
+          updateQueuedSubmission(entry.id, null);
+          if (handlers) handlers.onRejected(entry, outcome.result);
         }
-      } else if (input.value.trim() !== '') {
-        fields.push({
-          objectTypeId: objectTypeId,
-          name: fieldName,
-          value: input.value.trim(),
-        });
       }
+    } finally {
+      isProcessingQueue = false;
+    }
+
+    const retryTimes = readSubmissionQueue()
+      .filter((entry) => !entry.needsVerification)
+      .map((entry) => entry.nextAttemptAt);
+    if (retryTimes.length > 0) {
+      queueTimer = setTimeout(processSubmissionQueue, Math.max(Math.min(...retryTimes) - Date.now(), 0));
+    }
+  };
+
+  window.addEventListener('online', processSubmissionQueue);
+
+  /**
+   * Push a form event to the GTM/GA4 dataLayer
+   */
+  const pushAnalyticsEvent = (dataLayerName, event, params) => {
+    const payload = { event };
+    ANALYTICS_EVENT_KEYS.forEach((key) => {
+      payload[key] = params[key] !== undefined ? params[key] : null;
     });
 
-    return { fields };
+    window[dataLayerName] = window[dataLayerName] || [];
+    window[dataLayerName].push(payload);
   };
 
   /**
-   * Submit form to HubSpot
+   * Analytics category for a submission the submit endpoint did not accept
    */
-  const submitForm = async () => {
-    try {
-      if (recaptchaConfig && recaptchaConfig.enabled && !recaptchaToken) {
-        console.error('[DynamicForm] reCAPTCHA token missing');
-        showErrorModal('Security verification failed. Please complete the reCAPTCHA and try again.');
-        return;
-      }
+  const getFailureCategory = (outcome) => {
+    if (outcome.status === 'retry') return outcome.result.error === 'rate_limited' ? 'rate_limited' : 'network';
+    if (outcome.result.error === 'validation_failed') return 'rejected_fields';
+    if (CAPTCHA_ERROR_MESSAGES[outcome.result.error]) return 'captcha';
+    if (FILE_ERRORS.includes(outcome.result.error)) return 'upload';
+    return 'server';
+  };
 
-      showLoadingPreloader();
+  /**
+   * Read a cookie value, e.g. the hubspotutk cookie set by the HubSpot tracking code
+   */
+  const readCookie = (name) => {
+    const match = document.cookie.split('; ').find((cookie) => cookie.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+  };
 
-      const formData = collectFormData();
-      const payload = {
-        fields: formData.fields,
-        context: {
-          pageUri: window.location.href,
-          pageName: 'PaidHR Circle',
-        },
-      };
+  /**
+   * The referring page when the visitor came from another site; empty for direct visits and internal links
+   */
+  const getExternalReferrer = () => {
+    try {
+      const referrer = new URL(document.referrer);
+      return referrer.hostname === window.location.hostname ? '' : referrer.href;
+    } catch (error) {
+      return '';
+    }
+  };
 
-      console.log('[DynamicForm] Submitting form...');
+  /**
+   * Read the stored attribution, dropping the parts that are older than ATTRIBUTION_MAX_AGE_MS
+   */
+  const readAttribution = () => {
+    try {
+      const attribution = JSON.parse(window.localStorage.getItem(ATTRIBUTION_KEY) || 'null');
+      if (!attribution || Date.now() - attribution.firstSeenAt > ATTRIBUTION_MAX_AGE_MS) return null;
 
-      const hubspotEndpoint = `https://api.hsforms.com/submissions/v3/integration/submit/${CONFIG.hubspotPortalId}/${CONFIG.hubspotFormGuid}`;
+      if (attribution.campaignSeenAt && Date.now() - attribution.campaignSeenAt > ATTRIBUTION_MAX_AGE_MS) {
+        attribution.campaign = {};
+        attribution.campaignSeenAt = null;
+      }
 
-      const response = await fetch(hubspotEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
+      return attribution;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * Record attribution for this page view. The referrer of the first visit is kept;
+   * campaign parameters are replaced as a set whenever a page is opened from a new campaign link.
+   */
+  const captureAttribution = () => {
+    const now = Date.now();
+    const params = new URLSearchParams(window.location.search);
+    const campaign = {};
+
+    CAMPAIGN_PARAMETERS.forEach((name) => {
+      const value = (params.get(name) || '').trim();
+      if (value) campaign[name] = value;
+    });
 
-      hideLoadingPreloader();
+    const attribution = readAttribution() || {
+      firstSeenAt: now,
+      referrer: getExternalReferrer(),
+      campaign: {},
+      campaignSeenAt: null,
+    };
 
-      console.log(response.ok, response, "all response");
+    if (Object.keys(campaign).length > 0) {
+      attribution.campaign = campaign;
+      attribution.campaignSeenAt = now;
+    }
 
-      if (response.ok) {
-        const result = await response.json();
-        console.log('[DynamicForm] Form submitted successfully:', result);
-        showSuccessMessage('Thanks for submitting the form! We\'ll be in touch soon.');
-        resetForm();
-        recaptchaToken = null;
-      } else {
-        const errorText = await response.text();
-        console.error('[DynamicForm] Form submission failed:', response.status, errorText);
-        showErrorModal('Sorry, we could not submit your request. Please try again later.');
-      }
+    try {
+      window.localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(attribution));
     } catch (error) {
-      console.error('[DynamicForm] Error submitting form:', error);
-      hideLoadingPreloader();
-      showErrorModal('An unexpected error occurred. Please check your connection and try again.');
+      console.warn('[DynamicForm] Could not save attribution:', error.message);
     }
   };
 
+  /**
+   * Attribution values for the current visitor, e.g. { utm_source: 'linkedin', referrer: 'https://...' }
+   */
+  const getAttributionValues = () => {
+    const attribution = readAttribution();
+    if (!attribution) return {};
+
+    return {
+      ...attribution.campaign,
+      ...(attribution.referrer ? { referrer: attribution.referrer } : {}),
+    };
+  };
+
+  captureAttribution();
+
   /**
    * Show loading preloader
    */
-  const showLoadingPreloader = () => {
+  const showLoadingPreloader = (t = translateDefault, themeProperties = {}) => {
     let preloader = document.getElementById('form-preloader');
     
     if (!preloader) {
@@ -800,90 +1396,18 @@ const DynamicFormHandler = (() => {
         <div class="preloader-overlay"></div>
         <div class="preloader-content">
           <div class="preloader-spinner"></div>
-          <p class="preloader-text">Submitting your request...</p>
+          <p class="preloader-text"></p>
         </div>
       `;
       document.body.appendChild(preloader);
-      
-      // Add styles if not already present
-      if (!document.getElementById('preloader-styles')) {
-        const style = document.createElement('style');
-        style.id = 'preloader-styles';
-        style.textContent = `
-          .form-preloader {
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            z-index: 10000;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-          }
-          
-          .preloader-overlay {
-            position: absolute;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(0, 0, 0, 0.6);
-            backdrop-filter: blur(4px);
-          }
-          
-          .preloader-content {
-            position: relative;
-            background: white;
-            padding: 48px 40px;
-            border-radius: 12px;
-            text-align: center;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            max-width: 90%;
-            animation: preloaderFadeIn 0.3s ease;
-          }
-          
-          @keyframes preloaderFadeIn {
-            from {
-              opacity: 0;
-              transform: scale(0.9) translateY(20px);
-            }
-            to {
-              opacity: 1;
-              transform: scale(1) translateY(0);
-            }
-          }
-          
-          .preloader-spinner {
-            width: 56px;
-            height: 56px;
-            border: 5px solid #f3f3f3;
-            border-top: 5px solid #004AF5;
-            border-radius: 50%;
-            animation: spin 1s linear infinite;
-            margin: 0 auto 24px;
-          }
-          
-          @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
-          }
-          
-          .preloader-text {
-            margin: 0;
-            color: #333;
-            font-size: 16px;
-            font-weight: 500;
-            font-family: inherit;
-          }
-        `;
-        document.head.appendChild(style);
-      }
     }
     
-    preloader.style.display = 'flex';
+    // Forms on the page share the preloader, so the text and theme follow the form submitting
+    preloader.querySelector('.preloader-text').textContent = t('submitting');
+    applyThemeProperties(preloader, themeProperties);
+    preloader.classList.add('is-loading');
     // Prevent body scroll
-    document.body.style.overflow = 'hidden';
+    document.body.classList.add('modal-open');
   };
 
   /**
@@ -892,235 +1416,249 @@ const DynamicFormHandler = (() => {
   const hideLoadingPreloader = () => {
     const preloader = document.getElementById('form-preloader');
     if (preloader) {
-      preloader.style.display = 'none';
+      preloader.classList.remove('is-loading');
     }
     // Restore body scroll
-    document.body.style.overflow = '';
+    document.body.classList.remove('modal-open');
   };
 
+  // Closes the open dialog (error or thank-you modal); set while one is shown
+  let closeDialog = null;
+
   /**
-   * Show error modal
+   * Show a modal dialog. name prefixes its id and classes (error-modal, success-modal) so each can be styled;
+   * messageHtml must already be escaped or sanitized. An open dialog is replaced, and focus returns to
+   * where it was before the first one opened.
    */
-  const showErrorModal = (message) => {
-    // Remove existing error modal if any
-    const existingModal = document.getElementById('error-modal');
-    if (existingModal) {
-      existingModal.remove();
-    }
+  const showDialog = (name, { role, icon, title, messageHtml, buttonText, link = null, themeProperties = {} }) => {
+    const returnFocusTo = closeDialog ? closeDialog(false) : document.activeElement;
 
     const modal = document.createElement('div');
-    modal.id = 'error-modal';
-    modal.className = 'error-modal';
+    modal.id = name;
+    modal.className = name;
+    modal.setAttribute('role', role);
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', `${name}-title`);
+    modal.setAttribute('aria-describedby', `${name}-message`);
     modal.innerHTML = `
-      <div class="error-modal-overlay"></div>
-      <div class="error-modal-content">
-        <div class="error-modal-icon">
-          <svg width="48" height="48" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <circle cx="12" cy="12" r="10" stroke="#FF4757" stroke-width="2"/>
-            <path d="M12 8V12" stroke="#FF4757" stroke-width="2" stroke-linecap="round"/>
-            <circle cx="12" cy="16" r="1" fill="#FF4757"/>
-          </svg>
-        </div>
-        <h3 class="error-modal-title">Oops!</h3>
-        <p class="error-modal-message">${message}</p>
-        <button class="error-modal-button" onclick="document.getElementById('error-modal').remove()">
-          Got it
+      <div class="${name}-overlay"></div>
+      <div class="${name}-content">
+        <div class="${name}-icon" aria-hidden="true">${icon}</div>
+        <h3 id="${name}-title" class="${name}-title">${escapeHtml(title)}</h3>
+        <div id="${name}-message" class="${name}-message">${messageHtml}</div>
+        ${link ? `<a class="${name}-link" href="${escapeHtml(link.href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.text)}</a>` : ''}
+        <button type="button" class="${name}-button">
+          ${escapeHtml(buttonText)}
         </button>
       </div>
     `;
 
-    // Add styles if not already present
-    if (!document.getElementById('error-modal-styles')) {
-      const style = document.createElement('style');
-      style.id = 'error-modal-styles';
-      style.textContent = `
-        .error-modal {
-          position: fixed;
-          top: 0;
-          left: 0;
-          right: 0;
-          bottom: 0;
-          z-index: 10001;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          animation: errorModalFadeIn 0.3s ease;
-        }
-        
-        @keyframes errorModalFadeIn {
-          from {
-            opacity: 0;
-          }
-          to {
-            opacity: 1;
-          }
-        }
-        
-        .error-modal-overlay {
-          position: absolute;
-          top: 0;
-          left: 0;
-          right: 0;
-          bottom: 0;
-          background: rgba(0, 0, 0, 0.7);
-          backdrop-filter: blur(4px);
-        }
-        
-        .error-modal-content {
-          position: relative;
-          background: white;
-          padding: 40px 32px 32px;
-          border-radius: 16px;
-          text-align: center;
-          box-shadow: 0 24px 80px rgba(0, 0, 0, 0.3);
-          max-width: 440px;
-          width: 90%;
-          animation: errorModalSlideUp 0.4s cubic-bezier(0.34, 1.56, 0.64, 1);
-        }
-        
-        @keyframes errorModalSlideUp {
-          from {
-            opacity: 0;
-            transform: scale(0.8) translateY(40px);
-          }
-          to {
-            opacity: 1;
-            transform: scale(1) translateY(0);
-          }
-        }
-        
-        .error-modal-icon {
-          margin: 0 auto 20px;
-          animation: errorIconPulse 0.6s ease;
-        }
-        
-        @keyframes errorIconPulse {
-          0%, 100% {
-            transform: scale(1);
-          }
-          50% {
-            transform: scale(1.1);
-          }
-        }
-        
-        .error-modal-title {
-          margin: 0 0 12px;
-          color: #FF4757;
-          font-size: 24px;
-          font-weight: 600;
-          font-family: inherit;
-        }
-        
-        .error-modal-message {
-          margin: 0 0 28px;
-          color: #555;
-          font-size: 15px;
-          line-height: 1.6;
-          font-family: inherit;
-        }
-        
-        .error-modal-button {
-          background: #004AF5;
-          color: white;
-          border: none;
-          padding: 14px 32px;
-          border-radius: 8px;
-          font-size: 15px;
-          font-weight: 600;
-          cursor: pointer;
-          font-family: inherit;
-          transition: all 0.2s ease;
-          min-width: 120px;
-        }
-        
-        .error-modal-button:hover {
-          background: #0039C4;
-          transform: translateY(-2px);
-          box-shadow: 0 8px 20px rgba(0, 74, 245, 0.3);
-        }
-        
-        .error-modal-button:active {
-          transform: translateY(0);
-        }
-      `;
-      document.head.appendChild(style);
-    }
-
+    applyThemeProperties(modal, themeProperties);
     document.body.appendChild(modal);
     
     // Prevent body scroll
-    document.body.style.overflow = 'hidden';
-    
-    // Auto-remove on overlay click
-    modal.querySelector('.error-modal-overlay').addEventListener('click', () => {
+    document.body.classList.add('modal-open');
+
+    // Keep Tab inside the dialog and close it with Escape
+    const handleKeydown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeDialog();
+        return;
+      }
+
+      if (event.key !== 'Tab') return;
+
+      const focusable = Array.from(modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'));
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (!modal.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+      } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeydown);
+
+    // Closes the dialog and returns the element focus went back to (or would have, with restoreFocus false)
+    closeDialog = (restoreFocus = true) => {
+      document.removeEventListener('keydown', handleKeydown);
       modal.remove();
-      document.body.style.overflow = '';
-    });
+      document.body.classList.remove('modal-open');
+      closeDialog = null;
+
+      if (restoreFocus && returnFocusTo && typeof returnFocusTo.focus === 'function' && document.contains(returnFocusTo)) {
+        returnFocusTo.focus();
+      }
+      return returnFocusTo;
+    };
+
+    modal.querySelector(`.${name}-button`).addEventListener('click', () => closeDialog());
+    modal.querySelector(`.${name}-overlay`).addEventListener('click', () => closeDialog());
+    modal.querySelector(`.${name}-button`).focus();
   };
 
   /**
-   * Show success message
+   * Show error modal
    */
-  const showSuccessMessage = (message) => {
-    const successDiv = document.querySelector('.form-success-message');
-    const formInner = document.querySelector('.circle-form_inner');
-    
-    if (successDiv && formInner) {
-      formInner.style.display = 'none';
-      successDiv.style.display = 'block';
-      
-      const ineligibleDiv = successDiv.querySelector('#ineligible');
-      if (ineligibleDiv) {
-        ineligibleDiv.innerHTML = `
-          <div class="text-size-medium-new text-weight-semibold text-color-brand">Hey there!</div>
-          <div class="text-size-regular">${message}<br><br>Love, <br><br>The Circle Team 💙</div>
-        `;
-      }
-      console.log('[DynamicForm] Success message displayed');
-    }
+  const showErrorModal = (message, t = translateDefault, themeProperties = {}) => {
+    showDialog('error-modal', {
+      role: 'alertdialog',
+      icon: `
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/>
+          <path d="M12 8V12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          <circle cx="12" cy="16" r="1" fill="currentColor"/>
+        </svg>
+      `,
+      title: t('errorModalTitle'),
+      messageHtml: escapeHtml(message),
+      buttonText: t('errorModalButton'),
+      themeProperties,
+    });
   };
 
   /**
-   * Reset form
+   * Show the thank-you modal after a submission, with an optional booking link
    */
-  const resetForm = () => {
-    const form = document.getElementById('wf-form-Join-Circle-Form');
-    if (form) {
-      form.reset();
-      recaptchaToken = null;
-      
-      if (typeof grecaptcha !== 'undefined') {
-        grecaptcha.enterprise.reset();
-      }
-      
-      disableSubmitButton();
-      console.log('[DynamicForm] Form reset');
-    }
+  const showSuccessModal = (title, messageHtml, link, t = translateDefault, themeProperties = {}) => {
+    showDialog('success-modal', {
+      role: 'dialog',
+      icon: `
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/>
+          <path d="M8 12.5L10.5 15L16 9.5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      `,
+      title,
+      messageHtml,
+      buttonText: t('successModalButton'),
+      link,
+      themeProperties,
+    });
   };
 
   /**
-   * Setup modal scroll lock
+   * Add or remove an id in an element's aria-describedby list, keeping the ids already there
    */
-  const setupModalScrollLock = () => {
-    const modal = document.getElementById('lead-form-wrap');
+  const toggleDescribedBy = (element, id, present) => {
+    const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter((value) => value && value !== id);
+    if (present) ids.push(id);
+
+    if (ids.length > 0) {
+      element.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      element.removeAttribute('aria-describedby');
+    }
+  };
+
+  /**
+   * Whether configuration problems should be shown on the page
+   */
+  const isDeveloperMode = (config) => {
+    if (config.debug !== null && config.debug !== undefined) {
+      // data-debug without a value reads as an empty string
+      return config.debug === true || config.debug === '' || config.debug === 'true';
+    }
+
+    return ['localhost', '127.0.0.1'].includes(window.location.hostname) ||
+      new URLSearchParams(window.location.search).has('form-debug');
+  };
+
+  /**
+   * List form configuration problems at the top of the form, for developers only
+   */
+  const renderSchemaErrorPanel = (form, source, messages) => {
+    const existingPanel = form.querySelector('.form-schema-errors');
+    if (existingPanel) existingPanel.remove();
+
+    const panel = document.createElement('div');
+    panel.className = 'form-schema-errors';
+    panel.setAttribute('role', 'alert');
+
+    const heading = document.createElement('strong');
+    heading.textContent = `${messages.length} problem${messages.length === 1 ? '' : 's'} in ${source}`;
+    panel.appendChild(heading);
+
+    const list = document.createElement('ul');
+    messages.forEach((message) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+
+    const hint = document.createElement('p');
+    hint.textContent = 'Shown in developer mode only. Run node scripts/validate-form-fields.js to check the file offline.';
+    panel.appendChild(hint);
+
+    form.insertBefore(panel, form.firstChild);
+  };
+
+  // Pending load of the schema validator, shared by every form on the page
+  let validatorLoad = null;
+
+  /**
+   * Load js/formSchemaValidator.js from url unless it is already on the page, resolving to FormSchemaValidator
+   */
+  const loadSchemaValidator = (url) => {
+    if (typeof FormSchemaValidator !== 'undefined') return Promise.resolve(FormSchemaValidator);
+
+    if (!validatorLoad) {
+      validatorLoad = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.onload = () => (typeof FormSchemaValidator !== 'undefined'
+          ? resolve(FormSchemaValidator)
+          : reject(new Error(`${url} did not define FormSchemaValidator`)));
+        script.onerror = () => reject(new Error(`Could not load ${url}`));
+        document.head.appendChild(script);
+      }).catch((error) => {
+        validatorLoad = null;
+        throw error;
+      });
+    }
+
+    return validatorLoad;
+  };
+
+  /**
+   * Setup modal scroll lock, calling onOpen whenever the modal opens
+   */
+  const setupModalScrollLock = (modal, onOpen) => {
     
     if (!modal) {
       console.warn('[DynamicForm] Modal wrapper not found');
-      return;
+      return null;
     }
 
     const lockScroll = () => {
-      document.documentElement.style.overflow = 'hidden';
-      document.body.style.overflow = 'hidden';
-      document.body.style.position = 'fixed';
-      document.body.style.width = '100%';
+      document.documentElement.classList.add('form-scroll-lock');
     };
 
     const unlockScroll = () => {
-      document.documentElement.style.overflow = '';
-      document.body.style.overflow = '';
-      document.body.style.position = '';
-      document.body.style.width = '';
+      document.documentElement.classList.remove('form-scroll-lock');
+    };
+
+    let isOpen = false;
+
+    // Observers fire for every style change inside the modal, so only a closed-to-open change counts as opening
+    const updateOpenState = (open) => {
+      if (open) {
+        lockScroll();
+      } else {
+        unlockScroll();
+      }
+
+      if (open && !isOpen && onOpen) onOpen();
+      isOpen = open;
     };
 
     const observer = new MutationObserver((mutations) => {
@@ -1129,9 +1667,9 @@ const DynamicFormHandler = (() => {
         const visibilityStyle = window.getComputedStyle(modal).visibility;
         
         if (displayStyle !== 'none' && visibilityStyle !== 'hidden') {
-          lockScroll();
+          updateOpenState(true);
         } else {
-          unlockScroll();
+          updateOpenState(false);
         }
       });
     });
@@ -1147,9 +1685,9 @@ const DynamicFormHandler = (() => {
         if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
           const displayStyle = window.getComputedStyle(modal).display;
           if (displayStyle !== 'none') {
-            lockScroll();
+            updateOpenState(true);
           } else {
-            unlockScroll();
+            updateOpenState(false);
           }
         }
       });
@@ -1161,22 +1699,2342 @@ const DynamicFormHandler = (() => {
     });
 
     console.log('[DynamicForm] Modal scroll lock setup complete');
-  };
 
-  // Public API
-  return {
-    init: init,
+    // Stop watching the modal and give the page its scroll back
+    return () => {
+      observer.disconnect();
+      classObserver.disconnect();
+      if (isOpen) unlockScroll();
+    };
   };
-})();
 
-// Initialize form when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+  /**
+   * Mount an independent form instance on a form element, or on an element containing one.
+   * Returns the instance; its ready promise settles once the form has rendered.
+   * The instance offers on/off, getValues, setValues, reset and destroy.
+   */
+  const create = (element, options = {}) => {
+    const target = typeof element === 'string' ? document.querySelector(element) : element;
+    const form = target && (target.tagName === 'FORM' ? target : target.querySelector('form'));
+
+    if (!form) {
+      throw new Error('DynamicFormHandler.create needs a form element or an element containing one');
+    }
+
+    if (instances.has(form)) {
+      console.warn('[DynamicForm] Form is already mounted:', form.id || form.name);
+      return instances.get(form);
+    }
+
+    const config = { ...DEFAULT_OPTIONS, ...options };
+
+    if (!config.hubspotFormGuid) {
+      throw new Error('DynamicFormHandler.create needs a hubspotFormGuid option');
+    }
+
+    instanceCount += 1;
+    const idPrefix = config.idPrefix !== null ? config.idPrefix : `df${instanceCount}-`;
+
+    let formFields = [];
+    // URL the fields were loaded from, named when they do not match the schema
+    let formFieldsSource = null;
+    let formData = {};
+    let recaptchaToken = null;
+    let recaptchaWidgetId = null;
+    // When the current token was issued, so a queued submission knows whether it can still be retried
+    let recaptchaTokenIssuedAt = null;
+    // Submission from this form waiting in the offline queue
+    let pendingSubmissionId = null;
+    // Key for this form's entries in the submission queue
+    const formKey = `${config.hubspotPortalId}:${config.hubspotFormGuid}`.toLowerCase();
+    // Language the form is shown in, and the lookup for its messages: English until loadMessages() finds a catalog
+    const locale = resolveLocale(config.locale);
+    let messageLocale = DEFAULT_LOCALE;
+    let t = translateDefault;
+    let recaptchaConfig = null;
+    let submitButtonConfig = null;
+    let stepsConfig = null;
+    // GDPR/NDPR consent block, sent to HubSpot as legalConsentOptions
+    let consentConfig = null;
+    // Theme entry from the schema, and the CSS custom properties the form is themed with
+    let themeConfig = null;
+    let themeProperties = {};
+    let currentStepIndex = 0;
+    // Conditional fields from dependentFieldFilters, keyed by dependent field name
+    let fieldDependencies = {};
+    // Fields that already sent a field_focus event, so each is counted once per fill-in
+    const focusedFields = new Set();
+    // Handlers added with on(), keyed by lifecycle event
+    const eventHandlers = {};
+    // Last value reported to change handlers, keyed by field name
+    const reportedValues = {};
+    // Aborted by destroy(), which removes every listener registered with its signal
+    const lifecycle = new AbortController();
+    // Pending timeouts set with setInstanceTimeout(), cleared when the instance is destroyed
+    const timers = new Set();
+    lifecycle.signal.addEventListener('abort', () => {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    });
+    let stopModalScrollLock = null;
+    let queueHandler = null;
+    // Pending draft save, cancelled when the draft is cleared
+    let draftSaveTimer = null;
+
+    /**
+     * setTimeout for work on this form, which does not run once the instance is destroyed
+     */
+    const setInstanceTimeout = (callback, delay) => {
+      if (lifecycle.signal.aborted) return;
+
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        callback();
+      }, delay);
+      timers.add(timer);
+    };
+
+    /**
+     * Load, render and wire up this form
+     */
+    const mount = async () => {
+      try {
+        console.log('[DynamicForm] Initializing', form.id || form.name || 'form', '...');
+      
+        // Load form fields from JSON, and the messages for the form language
+        await Promise.all([loadFormFields(), loadMessages()]);
+
+        // Report configuration mistakes before they render as broken fields
+        await checkFormFields();
+
+        // destroy() may have been called while the definition was loading
+        if (lifecycle.signal.aborted) return;
+
+        formFields = formFields.map((field) => localizeField(field, locale));
+      
+        // Extract reCAPTCHA and submit button configurations
+        extractSpecialFields();
+        applyTheme();
+      
+        // Render form fields dynamically
+        renderFormFields();
+      
+        // Render reCAPTCHA if configured
+        if (recaptchaConfig && recaptchaConfig.enabled) {
+          setInstanceTimeout(setupRecaptcha, 500);
+        }
+      
+        // Set up form submission
+        setupFormSubmission();
+      
+        // Bring back anything typed on an earlier visit
+        setupDraftAutosave();
+        restoreDraft();
+
+        setupAnalyticsListeners();
+        setupChangeEvents();
+
+        // Setup modal scroll lock, restoring the draft in case the form was cleared while the modal was closed.
+        // A form in a modal is only seen when the modal opens, so that is when form_view is sent.
+        if (config.modal) {
+          stopModalScrollLock = setupModalScrollLock(
+            typeof config.modal === 'string' ? document.querySelector(config.modal) : config.modal,
+            () => {
+              restoreDraft();
+              trackEvent('form_view');
+            }
+          );
+        } else {
+          trackEvent('form_view');
+        }
+
+        // Pick up submissions from this form that could not be sent earlier
+        queueHandler = {
+          onSent: handleQueuedSubmissionSent,
+          onNeedsVerification: handleQueuedSubmissionNeedsVerification,
+          onRejected: handleQueuedSubmissionRejected,
+        };
+        queueHandlers.set(formKey, queueHandler);
+        processSubmissionQueue();
+      
+        console.log('[DynamicForm] Initialization complete');
+        emit('ready', { fields: formFields.map((field) => field.name) });
+      } catch (error) {
+        console.error('[DynamicForm] Initialization error:', error);
+        emit('error', { category: 'load', code: null, message: error.message });
+        showErrorModal(t('loadFailed'), t, themeProperties);
+      }
+    };
+
+    /**
+     * Subscribe to a lifecycle event: ready, change, validate, beforeSubmit, success or error.
+     * Handlers receive (detail, instance). Returns a function that unsubscribes.
+     */
+    const on = (event, handler) => {
+      if (!Object.values(LIFECYCLE_CALLBACK_OPTIONS).includes(event)) {
+        throw new Error(`Unknown DynamicFormHandler event "${event}"`);
+      }
+      if (typeof handler !== 'function') {
+        throw new Error(`DynamicFormHandler ${event} handler must be a function`);
+      }
+
+      eventHandlers[event] = eventHandlers[event] || [];
+      eventHandlers[event].push(handler);
+      return () => off(event, handler);
+    };
+
+    const off = (event, handler) => {
+      eventHandlers[event] = (eventHandlers[event] || []).filter((existing) => existing !== handler);
+    };
+
+    /**
+     * Call the handlers for an event and dispatch it on the form as a bubbling dynamicform:<event> DOM event.
+     * A failing handler is logged and does not stop the others or the form.
+     */
+    const emit = (event, detail) => {
+      (eventHandlers[event] || []).slice().forEach((handler) => {
+        try {
+          handler(detail, instance);
+        } catch (error) {
+          console.error(`[DynamicForm] Error in ${event} handler:`, error);
+        }
+      });
+
+      form.dispatchEvent(new CustomEvent(`dynamicform:${event.toLowerCase()}`, { bubbles: true, detail: { ...detail, instance } }));
+    };
+
+    /**
+     * Let beforeSubmit handlers change the payload in place. Resolves to false when one of them cancels,
+     * either by returning false or by calling preventDefault() on the dynamicform:beforesubmit DOM event.
+     */
+    const runBeforeSubmit = async (payload) => {
+      for (const handler of (eventHandlers.beforeSubmit || []).slice()) {
+        try {
+          if ((await handler({ payload }, instance)) === false) return false;
+        } catch (error) {
+          console.error('[DynamicForm] Error in beforeSubmit handler:', error);
+        }
+      }
+
+      return form.dispatchEvent(new CustomEvent('dynamicform:beforesubmit', {
+        bubbles: true,
+        cancelable: true,
+        detail: { payload, instance },
+      }));
+    };
+
+    /**
+     * Report field values the user changed to change handlers
+     */
+    const setupChangeEvents = () => {
+      const reportChange = (event) => {
+        const name = event.target.getAttribute && event.target.getAttribute('data-field-name');
+        if (!name) return;
+
+        const values = getValues();
+        const value = values[name] !== undefined ? values[name] : null;
+        if (reportedValues[name] === value) return;
+
+        reportedValues[name] = value;
+        emit('change', { name, value, values });
+      };
+
+      form.addEventListener('input', reportChange, { signal: lifecycle.signal });
+      form.addEventListener('change', reportChange, { signal: lifecycle.signal });
+    };
+
+    /**
+     * Current values keyed by field name, in the format they are submitted in
+     */
+    const getValues = () => collectFormData().fields.reduce((values, field) => {
+      values[field.name] = field.value;
+      return values;
+    }, {});
+
+    /**
+     * Fill fields from an object keyed by field name. Checkbox groups take an array or a "; " separated string,
+     * phone numbers an E.164 number. File fields are left alone.
+     */
+    const setValues = (values) => {
+      restoreFieldValues(Object.keys(values || {}).map((name) => ({
+        name,
+        value: Array.isArray(values[name]) ? values[name].join('; ') : String(values[name]),
+      })));
+    };
+
+    /**
+     * Report a submission HubSpot accepted to analytics and success handlers
+     */
+    const reportSubmitSuccess = (submissionId, result, queued) => {
+      trackEvent('submit_success');
+      emit('success', { submissionId, result, queued });
+    };
+
+    /**
+     * Report a submission that did not go through to analytics and error handlers
+     */
+    const reportSubmitFailure = (category, code, result) => {
+      trackEvent('submit_failure', { error_category: category, error_message: code || null });
+      emit('error', { category, code: code || null, result: result || null });
+    };
+
+    /**
+     * Tear the instance down: remove its listeners and rendered fields and forget it,
+     * so the same form can be mounted again with create()
+     */
+    const destroy = () => {
+      lifecycle.abort();
+      if (stopModalScrollLock) stopModalScrollLock();
+      if (queueHandlers.get(formKey) === queueHandler) queueHandlers.delete(formKey);
+      Object.keys(eventHandlers).forEach((event) => delete eventHandlers[event]);
+
+      const fieldsContainer = form.querySelector(config.fieldsSelector);
+      if (fieldsContainer) fieldsContainer.innerHTML = '';
+      form.querySelectorAll('.form-step-actions, .form-consent, .recaptcha-container, [data-form-submit], .form-queue-notice, .form-draft-control, .form-schema-errors, .form-live-region')
+        .forEach((element) => element.remove());
+
+      applyThemeProperties(form, {});
+      form.classList.remove('is-loading', 'is-hidden');
+      form.removeAttribute('aria-busy');
+
+      // Bring the form back if it was swapped for the success message
+      const wrapper = form.closest('.w-form') || form.parentElement;
+      const successDiv = wrapper && wrapper.querySelector('.form-success-message');
+      if (successDiv) successDiv.classList.remove('active');
+
+      instances.delete(form);
+      console.log('[DynamicForm] Instance destroyed');
+    };
+
+    const isAnalyticsEnabled = () => config.analytics !== false && config.analytics !== 'false';
+
+    /**
+     * Send a funnel event for this form, plus the Meta Pixel event after a successful submission
+     */
+    const trackEvent = (event, params = {}) => {
+      if (!isAnalyticsEnabled()) return;
+
+      try {
+        pushAnalyticsEvent(config.dataLayerName, event, {
+          form_id: config.hubspotFormGuid,
+          form_name: config.pageName || document.title,
+          ...params,
+        });
+
+        if (event === 'submit_success' && config.metaPixelEvent && typeof window.fbq === 'function') {
+          window.fbq('track', config.metaPixelEvent, { content_name: config.pageName || document.title });
+        }
+      } catch (error) {
+        console.warn('[DynamicForm] Could not send analytics event:', event, error.message);
+      }
+    };
+
+    /**
+     * Count the first focus of each field, which shows how far users get before dropping off
+     */
+    const setupAnalyticsListeners = () => {
+      form.addEventListener('focusin', (event) => {
+        const fieldName = event.target.getAttribute && event.target.getAttribute('data-field-name');
+        if (!fieldName || focusedFields.has(fieldName)) return;
+
+        focusedFields.add(fieldName);
+        trackEvent('field_focus', { field_name: fieldName });
+      }, { signal: lifecycle.signal });
+    };
+
+    /**
+     * Fetch and check a form field list
+     */
+    const fetchFormFields = async (url) => {
+      const response = await fetch(url);
+      
+      if (!response.ok) {
+        throw new Error(`Failed to load form fields: HTTP ${response.status}`);
+      }
+      
+      const data = await response.json();
+      
+      if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('Form configuration is empty or invalid');
+      }
+
+      return data;
+    };
+
+    /**
+     * Load form fields live from HubSpot through the schema endpoint,
+     * falling back to the static JSON file when the endpoint is missing or fails
+     */
+    const loadFormFields = async () => {
+      if (config.schemaEndpoint) {
+        const params = new URLSearchParams({
+          portalId: config.hubspotPortalId,
+          formGuid: config.hubspotFormGuid,
+          // The endpoint merges the recaptcha, steps and submit entries from this file
+          fallback: config.formFieldsUrl.split('?')[0].split('/').pop(),
+        });
+
+        try {
+          console.log('[DynamicForm] Loading form fields from:', config.schemaEndpoint);
+          formFields = await fetchFormFields(`${config.schemaEndpoint}?${params}`);
+          formFieldsSource = `${config.schemaEndpoint}?${params}`;
+          console.log('[DynamicForm] ✓ Loaded', formFields.length, 'form items');
+          return;
+        } catch (error) {
+          console.warn('[DynamicForm] Schema endpoint unavailable, using static form fields:', error.message);
+        }
+      }
+
+      try {
+        console.log('[DynamicForm] Loading form fields from:', config.formFieldsUrl);
+        formFields = await fetchFormFields(config.formFieldsUrl);
+        formFieldsSource = config.formFieldsUrl;
+        console.log('[DynamicForm] ✓ Loaded', formFields.length, 'form items');
+      } catch (error) {
+        console.error('[DynamicForm] Error loading form fields:', error);
+        throw error;
+      }
+    };
+
+    /**
+     * Load the message catalog for the form language, trying pt-br.json before pt.json.
+     * English is built in; when no catalog is found the form stays in English.
+     */
+    const loadMessages = async () => {
+      if (getLocaleChain(locale).includes(DEFAULT_LOCALE) || !config.localesUrl) return;
+
+      for (const candidate of getLocaleChain(locale)) {
+        try {
+          const catalog = await fetchMessageCatalog(`${config.localesUrl.replace(/\/$/, '')}/${candidate}.json`);
+          messageLocale = candidate;
+          t = createTranslator(candidate, catalog);
+          console.log('[DynamicForm] ✓ Loaded messages for', candidate);
+          return;
+        } catch (error) {
+          console.log('[DynamicForm] No messages for', candidate, `(${error.message})`);
+        }
+      }
+
+      console.warn('[DynamicForm] No message catalog found for', locale, 'in', config.localesUrl, '- using English');
+    };
+
+    /**
+     * In developer mode, validate the loaded fields against the JSON Schema and list problems above the form.
+     * The form still renders; production page views load neither the schema nor the validator.
+     */
+    const checkFormFields = async () => {
+      if (!isDeveloperMode(config) || !config.schemaDefinitionUrl) return;
+
+      let validator;
+      let schema;
+      try {
+        validator = await loadSchemaValidator(config.schemaValidatorUrl);
+        const response = await fetch(config.schemaDefinitionUrl);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        schema = await response.json();
+      } catch (error) {
+        console.warn('[DynamicForm] Could not load form schema, skipping validation:', error.message);
+        return;
+      }
+
+      const errors = validator.validateFormFields(formFields, schema);
+      if (errors.length === 0) {
+        console.log('[DynamicForm] ✓ Form fields match the schema');
+        return;
+      }
+
+      const messages = errors.map(validator.formatError);
+      console.error(`[DynamicForm] ${messages.length} problem(s) in the form configuration:\n${messages.join('\n')}`);
+      renderSchemaErrorPanel(form, formFieldsSource, messages);
+    };
+
+    /**
+     * Extract special field types (recaptcha, submit button) from form fields
+     */
+    const extractSpecialFields = () => {
+      // Find and extract reCAPTCHA config
+      const recaptchaIndex = formFields.findIndex(field => field.fieldType === 'recaptcha');
+      if (recaptchaIndex !== -1) {
+        recaptchaConfig = formFields[recaptchaIndex];
+        console.log('[DynamicForm] ✓ reCAPTCHA config found');
+      }
+
+      // Find and extract multi-step wizard config
+      const steps = formFields.find(field => field.fieldType === 'steps');
+      if (steps && steps.enabled !== false && Array.isArray(steps.steps) && steps.steps.length > 0) {
+        stepsConfig = steps;
+        console.log('[DynamicForm] ✓ Step mode config found');
+      }
+
+      // Find and extract submit button config
+      const submitIndex = formFields.findIndex(field => field.fieldType === 'submit');
+      if (submitIndex !== -1) {
+        submitButtonConfig = formFields[submitIndex];
+        console.log('[DynamicForm] ✓ Submit button config found');
+      }
+
+      // Find and extract legal consent config
+      const consent = formFields.find(field => field.fieldType === 'consent');
+      if (consent && consent.enabled !== false) {
+        consentConfig = consent;
+        console.log('[DynamicForm] ✓ Consent config found');
+      }
+
+      // Find and extract theme tokens
+      const theme = formFields.find(field => field.fieldType === 'theme');
+      if (theme) {
+        themeConfig = theme;
+        console.log('[DynamicForm] ✓ Theme config found');
+      }
+
+      // Remove special fields from formFields array (they'll be rendered separately)
+      formFields = formFields.filter(field => 
+        field.fieldType !== 'recaptcha' && field.fieldType !== 'submit' && field.fieldType !== 'steps' &&
+        field.fieldType !== 'consent' && field.fieldType !== 'theme'
+      );
+
+      // Keep HubSpot's field order; Array.prototype.sort is stable, so equal displayOrder keeps file order
+      formFields = formFields
+        .slice()
+        .sort((a, b) => (a.displayOrder !== undefined ? a.displayOrder : -1) - (b.displayOrder !== undefined ? b.displayOrder : -1));
+
+      // Pull conditional fields out of their parents so they render and validate like the rest
+      formFields = expandDependentFields(formFields);
+    
+      console.log('[DynamicForm] Regular form fields count:', formFields.length);
+    };
+
+    /**
+     * Theme the form with CSS custom properties from the submit button states, the schema's theme entry
+     * and the theme option, later ones winning. The rules stay in css/dynamicForm.css for designers to override.
+     */
+    const applyTheme = () => {
+      themeProperties = {
+        ...getButtonStateProperties(submitButtonConfig),
+        ...getThemeProperties(themeConfig && themeConfig.tokens),
+        ...getThemeProperties(config.theme),
+      };
+      applyThemeProperties(form, themeProperties);
+    };
+
+    /**
+     * Render fields into rows: two regular fields share a row, full-width and conditional fields get their own
+     */
+    const renderFieldRows = (container, fields) => {
+      let i = 0;
+      while (i < fields.length) {
+        const currentField = fields[i];
+    
+        if (fieldDependencies[currentField.name]) {
+          // Conditional fields get a row of their own so showing and hiding them never shifts a pair
+          const wrapper = document.createElement('div');
+          wrapper.className = 'field-wrapper is-full-width';
+          wrapper.setAttribute('data-depends-on', fieldDependencies[currentField.name].parentName);
+          wrapper.setAttribute('data-dependent-field', currentField.name);
+          wrapper.innerHTML = renderFieldByType(currentField);
+          container.appendChild(wrapper);
+          i++;
+        } else if (FULL_WIDTH_FIELD_TYPES.includes(currentField.fieldType)) {
+          const wrapper = document.createElement('div');
+          wrapper.className = 'field-wrapper is-full-width';
+          wrapper.innerHTML = renderFieldByType(currentField);
+          container.appendChild(wrapper);
+          i++;
+        } else {
+          const wrapper = document.createElement('div');
+          wrapper.className = 'form-field-wrappper';
+      
+          const fieldDiv1 = document.createElement('div');
+          fieldDiv1.className = 'field-wrapper';
+          fieldDiv1.innerHTML = renderField(currentField);
+          wrapper.appendChild(fieldDiv1);
+      
+          const nextField = fields[i + 1];
+          if (nextField && !FULL_WIDTH_FIELD_TYPES.includes(nextField.fieldType) && !fieldDependencies[nextField.name]) {
+            const fieldDiv2 = document.createElement('div');
+            fieldDiv2.className = 'field-wrapper';
+            fieldDiv2.innerHTML = renderField(nextField);
+            wrapper.appendChild(fieldDiv2);
+            i += 2;
+          } else {
+            i++;
+          }
+      
+          container.appendChild(wrapper);
+        }
+      }
+    };
+
+    /**
+     * Get the index of the step a field belongs to.
+     * Conditional fields follow their parent; fields not listed in any step go on the last one.
+     */
+    const getFieldStepIndex = (fieldName) => {
+      const dependency = fieldDependencies[fieldName];
+      if (dependency) return getFieldStepIndex(dependency.parentName);
+
+      const index = stepsConfig.steps.findIndex((step) => (step.fields || []).includes(fieldName));
+      return index === -1 ? stepsConfig.steps.length - 1 : index;
+    };
+
+    /**
+     * Render the progress indicator, one container per step and the Back/Next navigation.
+     * Returns the element that holds the final step's actions (reCAPTCHA and submit).
+     */
+    const renderSteps = (fieldsContainer, fields) => {
+      const steps = stepsConfig.steps;
+
+      const progress = document.createElement('ol');
+      progress.className = 'form-steps-progress';
+      progress.innerHTML = steps.map((step, index) => `
+        <li class="form-steps-progress_item" data-step-indicator="${index}">
+          <span class="form-steps-progress_number">${index + 1}</span>
+          <span class="form-steps-progress_title">${escapeHtml(step.title || t('stepTitle', { number: index + 1 }))}</span>
+        </li>
+      `).join('');
+      fieldsContainer.appendChild(progress);
+
+      steps.forEach((step, index) => {
+        const stepElement = document.createElement('div');
+        stepElement.className = 'form-step';
+        stepElement.setAttribute('data-step-index', index);
+        renderFieldRows(stepElement, fields.filter((field) => getFieldStepIndex(field.name) === index));
+        fieldsContainer.appendChild(stepElement);
+      });
+
+      const navigation = document.createElement('div');
+      navigation.className = 'form-step-nav';
+      navigation.innerHTML = `
+        <button type="button" class="form-step-nav_button is-back" data-step-back>${escapeHtml(stepsConfig.backButtonText || t('stepBack'))}</button>
+        <button type="button" class="form-step-nav_button is-next" data-step-next>${escapeHtml(stepsConfig.nextButtonText || t('stepNext'))}</button>
+      `;
+      fieldsContainer.appendChild(navigation);
+
+      navigation.querySelector('[data-step-back]').addEventListener('click', () => showStep(currentStepIndex - 1));
+      navigation.querySelector('[data-step-next]').addEventListener('click', () => {
+        const stepElement = fieldsContainer.querySelector(`[data-step-index="${currentStepIndex}"]`);
+        if (validateForm(stepElement)) {
+          showStep(currentStepIndex + 1);
+        }
+      });
+
+      const stepActions = document.createElement('div');
+      stepActions.className = 'form-step-actions';
+      fieldsContainer.insertAdjacentElement('afterend', stepActions);
+
+      return stepActions;
+    };
+
+    /**
+     * Show one step, update the progress indicator and navigation, and move focus to it
+     */
+    const showStep = (index) => {
+      if (!stepsConfig) return;
+
+      const lastIndex = stepsConfig.steps.length - 1;
+      const previousIndex = currentStepIndex;
+      currentStepIndex = Math.max(0, Math.min(index, lastIndex));
+
+      form.querySelectorAll('[data-step-index]').forEach((stepElement) => {
+        stepElement.classList.toggle('is-hidden', Number(stepElement.getAttribute('data-step-index')) !== currentStepIndex);
+      });
+
+      form.querySelectorAll('[data-step-indicator]').forEach((indicator) => {
+        const indicatorIndex = Number(indicator.getAttribute('data-step-indicator'));
+        indicator.classList.toggle('is-active', indicatorIndex === currentStepIndex);
+        indicator.classList.toggle('is-complete', indicatorIndex < currentStepIndex);
+      });
+
+      const backButton = form.querySelector('[data-step-back]');
+      const nextButton = form.querySelector('[data-step-next]');
+      const stepActions = form.querySelector('.form-step-actions');
+      if (backButton) backButton.classList.toggle('is-hidden', currentStepIndex === 0);
+      if (nextButton) nextButton.classList.toggle('is-hidden', currentStepIndex === lastIndex);
+      if (stepActions) stepActions.classList.toggle('is-hidden', currentStepIndex !== lastIndex);
+
+      if (previousIndex !== currentStepIndex) {
+        trackEvent('step_change', {
+          step_index: currentStepIndex + 1,
+          step_title: stepsConfig.steps[currentStepIndex].title || null,
+        });
+
+        const stepElement = form.querySelector(`[data-step-index="${currentStepIndex}"]`);
+        const firstInput = stepElement && getActiveInputs(stepElement)[0];
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (firstInput) firstInput.focus({ preventScroll: true });
+      }
+    };
+
+    /**
+     * Flatten HubSpot dependentFieldFilters into the field list, placing each dependent field
+     * right after its parent and recording the condition in fieldDependencies
+     */
+    const expandDependentFields = (fields) => {
+      const expanded = [];
+
+      fields.forEach((field) => {
+        expanded.push(field);
+
+        (field.dependentFieldFilters || []).forEach((dependency) => {
+          const dependentField = dependency.dependentFormField;
+          if (!dependentField || !dependentField.name) return;
+
+          fieldDependencies[dependentField.name] = {
+            parentName: field.name,
+            filters: dependency.filters || [],
+            action: dependency.formFieldAction || 'DISPLAY',
+          };
+
+          expanded.push(...expandDependentFields([dependentField]));
+        });
+      });
+
+      return expanded;
+    };
+
+    /**
+     * Render form fields dynamically
+     */
+    const renderFormFields = () => {
+      console.log('[DynamicForm] Starting renderFormFields...');
+    
+      const fieldsContainer = form.querySelector(config.fieldsSelector);
+    
+      if (!fieldsContainer) {
+        console.error('[DynamicForm] ❌ Form fields container not found!');
+        showErrorModal(t('containerMissing'), t, themeProperties);
+        return;
+      }
+
+      // Clear existing content
+      fieldsContainer.innerHTML = '';
+
+      // Check if we have any fields to render
+      if (formFields.length === 0) {
+        renderEmptyState(fieldsContainer);
+        return;
+      }
+
+      // Hidden fields are submitted but never shown, so they stay out of the row layout
+      const visibleFields = formFields.filter((field) => !field.hidden);
+
+      // Render regular form fields, split into pages when step mode is configured
+      let stepActions = null;
+      if (stepsConfig) {
+        stepActions = renderSteps(fieldsContainer, visibleFields);
+      } else {
+        renderFieldRows(fieldsContainer, visibleFields);
+      }
+
+      formFields.filter((field) => field.hidden).forEach((field) => {
+        fieldsContainer.insertAdjacentHTML('beforeend', renderHiddenField(field));
+      });
+
+      console.log('[DynamicForm] ✓ Regular form fields rendered');
+    
+      // Now render reCAPTCHA and submit button from JSON config
+      // In step mode these only appear on the final step
+      const actionsContainer = stepActions || form;
+
+      // Consent checkboxes sit right above the reCAPTCHA and submit button
+      if (consentConfig) {
+        renderConsentBlock(actionsContainer);
+      }
+
+      // Render reCAPTCHA container
+      if (recaptchaConfig && recaptchaConfig.enabled) {
+        renderRecaptchaContainer(form, actionsContainer);
+      }
+    
+      // Render submit button
+      if (submitButtonConfig && submitButtonConfig.enabled !== false) {
+        renderSubmitButton(form, actionsContainer);
+      }
+
+      if (stepsConfig) {
+        showStep(0);
+      }
+    
+      // Add validation listeners after fields are rendered
+      setInstanceTimeout(() => {
+        setupPhoneInputs();
+        setupDependentFields();
+        addValidationListeners();
+      }, 100);
+    };
+
+    /**
+     * Show, hide and require conditional fields based on their parent's current value.
+     * Hidden fields are disabled so validation and collectFormData() skip them.
+     */
+    const evaluateDependentFields = () => {
+      // Parents come before their dependents, so nested conditions settle in a single pass
+      form.querySelectorAll('[data-dependent-field]').forEach((wrapper) => {
+        const fieldName = wrapper.getAttribute('data-dependent-field');
+        const dependency = fieldDependencies[fieldName];
+        const field = getFieldConfig(fieldName);
+        if (!dependency || !field) return;
+
+        const parentValues = getFieldValues(form, dependency.parentName);
+        const isVisible = dependency.filters.every((filter) => matchesFilter(filter, parentValues));
+
+        wrapper.classList.toggle('is-hidden', !isVisible);
+
+        wrapper.querySelectorAll(FIELD_INPUT_SELECTOR).forEach((input) => {
+          input.disabled = !isVisible;
+
+          if (isVisible && field.required) {
+            input.setAttribute('required', '');
+          } else {
+            input.removeAttribute('required');
+          }
+
+          if (!isVisible) {
+            clearFieldError(input);
+          }
+        });
+      });
+    };
+
+    /**
+     * Re-evaluate conditional fields whenever any field changes
+     */
+    const setupDependentFields = () => {
+      if (Object.keys(fieldDependencies).length === 0) return;
+
+      const handleChange = () => {
+        evaluateDependentFields();
+        updateButtonState();
+      };
+
+      form.addEventListener('change', handleChange, { signal: lifecycle.signal });
+      form.addEventListener('input', handleChange, { signal: lifecycle.signal });
+
+      evaluateDependentFields();
+    };
+
+    /**
+     * Pick the renderer for a field's type
+     */
+    const renderFieldByType = (field) => {
+      if (field.fieldType === 'checkbox' || field.fieldType === 'radio') return renderOptionGroupField(field);
+      if (field.fieldType === 'booleancheckbox') return renderBooleanCheckboxField(field);
+      return renderField(field);
+    };
+
+    /**
+     * Render individual field based on type.
+     * Every schema value is escaped: the definition can come from HubSpot, so it is not trusted as markup.
+     */
+    const renderField = (field) => {
+      const fieldId = escapeHtml(`${idPrefix}${field.name}`);
+      const fieldAttributes = `data-name="${escapeHtml(field.name)}" data-field-name="${escapeHtml(field.name)}" data-object-type-id="${escapeHtml(field.objectTypeId)}"`;
+      const isRequired = field.required ? 'required' : '';
+      const placeholder = escapeHtml(field.placeholder || field.unselectedLabel || '');
+      const defaultValues = getDefaultValues(field);
+      const valueAttribute = defaultValues.length > 0 ? `value="${escapeHtml(defaultValues[0])}"` : '';
+
+      const describedBy = field.description ? `aria-describedby="${fieldId}-description"` : '';
+
+      // Hidden labels stay in the accessibility tree so screen readers still announce the field
+      const isLabelHidden = field.labelHidden || (config.hideInputLabels !== false && config.hideInputLabels !== 'false');
+      let fieldHTML = `<label for="${fieldId}" class="field-label${isLabelHidden ? ' sr-only' : ''}">${field.label ? escapeHtml(field.label) : placeholder}</label>`;
+
+      if (field.fieldType === 'select') {
+        fieldHTML += `<select id="${fieldId}" name="${fieldId}" ${isRequired} ${describedBy} class="form-input-field is-circle-select w-select" ${fieldAttributes}>`;
+        fieldHTML += `<option value="">${placeholder}...</option>`;
+      
+        if (field.options && field.options.length > 0) {
+          field.options.forEach((option) => {
+            const selected = defaultValues.includes(option.value) ? 'selected' : '';
+            fieldHTML += `<option value="${escapeHtml(option.value)}" ${selected}>${escapeHtml(option.label)}</option>`;
+          });
+        }
+      
+        fieldHTML += '</select>';
+      } else if (field.fieldType === 'phonenumber') {
+        const country = getPhoneCountry(field.defaultCountry);
+        fieldHTML += '<div class="phone-input-wrap">';
+        fieldHTML += `<select id="${fieldId}_country" class="form-input-field is-circle-select w-select phone-country-select" aria-label="${escapeHtml(t('phoneCountryLabel'))}" data-phone-country-for="${fieldId}">`;
+        PHONE_COUNTRIES.forEach((option) => {
+          const selected = option.code === country.code ? 'selected' : '';
+          fieldHTML += `<option value="${option.code}" ${selected}>${getFlagEmoji(option.code)} +${option.dialCode}</option>`;
+        });
+        fieldHTML += '</select>';
+        fieldHTML += `<input type="tel" id="${fieldId}" name="${fieldId}" class="form-input-field is-circle w-input" placeholder="${placeholder}" ${valueAttribute} ${isRequired} ${describedBy} autocomplete="tel-national" data-phone-country="${country.code}" ${fieldAttributes}>`;
+        fieldHTML += '</div>';
+      } else if (field.fieldType === 'textarea') {
+        fieldHTML += `<textarea id="${fieldId}" name="${fieldId}" class="form-input-field is-circle w-input is-textarea" rows="4" placeholder="${placeholder}" ${isRequired} ${describedBy} ${fieldAttributes}>${escapeHtml(defaultValues.join(''))}</textarea>`;
+      } else if (field.fieldType === 'number') {
+        const range = parseLengthRule(field.validation && field.validation.data) || {};
+        const minAttribute = range.min !== null && range.min !== undefined ? `min="${range.min}"` : '';
+        const maxAttribute = range.max !== null && range.max !== undefined ? `max="${range.max}"` : '';
+        fieldHTML += `<input type="number" id="${fieldId}" name="${fieldId}" class="form-input-field is-circle w-input" placeholder="${placeholder}" step="any" inputmode="decimal" ${minAttribute} ${maxAttribute} ${valueAttribute} ${isRequired} ${describedBy} ${fieldAttributes}>`;
+      } else if (field.fieldType === 'date') {
+        fieldHTML += `<input type="date" id="${fieldId}" name="${fieldId}" class="form-input-field is-circle w-input" ${valueAttribute} ${isRequired} ${describedBy} ${fieldAttributes}>`;
+      } else if (field.fieldType === 'file') {
+        const acceptAttribute = field.accept ? `accept="${escapeHtml(field.accept)}"` : '';
+        fieldHTML += `<input type="file" id="${fieldId}" name="${fieldId}" class="form-input-field is-circle w-input is-file" ${acceptAttribute} ${isRequired} ${describedBy} ${fieldAttributes}>`;
+      } else {
+        const format = getFieldFormat(field);
+        const inputType = field.fieldType === 'text' && format === 'email' ? 'email' : 'text';
+        const inputMode = format === 'linkedin' ? 'inputmode="url" autocapitalize="off"' : '';
+        fieldHTML += `<input type="${inputType}" id="${fieldId}" name="${fieldId}" class="form-input-field is-circle w-input" placeholder="${placeholder}" ${valueAttribute} ${isRequired} ${describedBy} ${inputMode} ${fieldAttributes}>`;
+      }
+
+      fieldHTML += renderFieldDescription(field);
+
+      return fieldHTML;
+    };
+
+    /**
+     * Render a hidden field that is submitted with its default value
+     */
+    const renderHiddenField = (field) => {
+      const defaultValues = getDefaultValues(field);
+      return `<input type="hidden" id="${escapeHtml(`${idPrefix}${field.name}`)}" name="${escapeHtml(field.name)}" value="${escapeHtml(defaultValues.join(';'))}" data-field-name="${escapeHtml(field.name)}" data-object-type-id="${escapeHtml(field.objectTypeId)}">`;
+    };
+
+    /**
+     * Render the help text configured in a field's description. HubSpot descriptions are rich text,
+     * so links and basic formatting are kept.
+     */
+    const renderFieldDescription = (field) => {
+      if (!field.description) return '';
+      return `<div id="${escapeHtml(`${idPrefix}${field.name}`)}-description" class="field-description">${sanitizeRichText(field.description)}</div>`;
+    };
+
+    /**
+     * Wire up country pickers and as-you-type formatting for phone inputs
+     */
+    const setupPhoneInputs = () => {
+      form.querySelectorAll('input[data-phone-country]').forEach((input) => {
+        const countrySelect = form.querySelector(`select[data-phone-country-for="${CSS.escape(input.id)}"]`);
+
+        const reformat = () => {
+          const caret = input.selectionStart === null ? input.value.length : input.selectionStart;
+          const digitsBeforeCaret = input.value.slice(0, caret).replace(/\D/g, '').length;
+          let value = input.value;
+
+          // A pasted or typed international number switches the country picker
+          if (value.trim().startsWith('+')) {
+            const digits = value.replace(/\D/g, '');
+            const matchedCountry = findCountryByDialCode(digits, input.dataset.phoneCountry);
+
+            // Leave +1 as typed until the area code says which of the countries sharing it is meant
+            if (matchedCountry && isDialCodeShared(matchedCountry) && digits.length < matchedCountry.dialCode.length + 3) {
+              return;
+            }
+
+            if (matchedCountry) {
+              input.dataset.phoneCountry = matchedCountry.code;
+              if (countrySelect) countrySelect.value = matchedCountry.code;
+              value = digits.slice(matchedCountry.dialCode.length);
+            }
+          }
+
+          const country = getPhoneCountry(input.dataset.phoneCountry);
+          const rawDigits = value.replace(/\D/g, '');
+          const nationalNumber = getNationalNumber(value, country);
+          const formatted = formatNationalNumber(nationalNumber, country);
+          const droppedDigits = rawDigits.length - nationalNumber.length;
+
+          input.value = formatted;
+
+          // Keep the caret after the same digit it followed before formatting
+          let remaining = Math.max(digitsBeforeCaret - droppedDigits, 0);
+          let newCaret = 0;
+          while (remaining > 0 && newCaret < formatted.length) {
+            if (/\d/.test(formatted[newCaret])) remaining--;
+            newCaret++;
+          }
+          if (document.activeElement === input) {
+            input.setSelectionRange(newCaret, newCaret);
+          }
+        };
+
+        input.addEventListener('input', reformat);
+
+        if (countrySelect) {
+          countrySelect.addEventListener('change', () => {
+            input.dataset.phoneCountry = countrySelect.value;
+            reformat();
+            input.dispatchEvent(new Event('change'));
+          });
+        }
+      });
+    };
+
+    /**
+     * Render a checkbox or radio field group
+     */
+    const renderOptionGroupField = (field) => {
+      const inputType = field.fieldType === 'radio' ? 'radio' : 'checkbox';
+      const defaultValues = getDefaultValues(field);
+      const fieldId = escapeHtml(`${idPrefix}${field.name}`);
+      const fieldAttributes = `name="${escapeHtml(field.name)}" data-field-name="${escapeHtml(field.name)}" data-object-type-id="${escapeHtml(field.objectTypeId)}"`;
+      const describedBy = field.description ? `aria-describedby="${fieldId}-description"` : '';
+      let fieldHTML = `<div id="${fieldId}-label" class="field-label${field.labelHidden ? ' sr-only' : ''}">${escapeHtml(field.label)}</div>`;
+      fieldHTML += renderFieldDescription(field);
+      fieldHTML += `<div class="circle-form_option-wrap" role="${inputType === 'radio' ? 'radiogroup' : 'group'}" aria-labelledby="${fieldId}-label" ${describedBy}>`;
+
+      if (field.options && field.options.length > 0) {
+        field.options.forEach((option) => {
+          const checkboxId = escapeHtml(`${idPrefix}${field.name}_${option.value.replace(/\s+/g, '_').toLowerCase()}`);
+          const checked = defaultValues.includes(option.value) ? 'checked' : '';
+          fieldHTML += `
+            <label class="w-checkbox">
+              <div class="w-checkbox-input w-checkbox-input--inputType-custom circle-checkbox${inputType === 'radio' ? ' is-radio' : ''}"></div>
+              <input type="${inputType}" id="${checkboxId}" value="${escapeHtml(option.value)}" ${fieldAttributes} class="circle-checkbox-input" ${checked} ${field.required ? 'required' : ''}>
+              <span class="circle-checkbox-label w-form-label" for="${checkboxId}">${escapeHtml(option.label)}</span>
+            </label>
+          `;
+        });
+      }
+
+      fieldHTML += '</div>';
+      return fieldHTML;
+    };
+
+    /**
+     * Render a single yes/no checkbox; the label sits next to the box
+     */
+    const renderBooleanCheckboxField = (field) => {
+      const checked = getDefaultValues(field).includes('true') ? 'checked' : '';
+      const fieldId = escapeHtml(`${idPrefix}${field.name}`);
+
+      return `
+        <div class="circle-form_option-wrap">
+          <label class="w-checkbox">
+            <div class="w-checkbox-input w-checkbox-input--inputType-custom circle-checkbox"></div>
+            <input type="checkbox" name="${escapeHtml(field.name)}" id="${fieldId}" value="true" data-boolean-checkbox="true" data-field-name="${escapeHtml(field.name)}" data-object-type-id="${escapeHtml(field.objectTypeId)}" class="circle-checkbox-input" ${checked} ${field.required ? 'required' : ''} ${field.description ? `aria-describedby="${fieldId}-description"` : ''}>
+            <span class="circle-checkbox-label w-form-label" for="${fieldId}">${escapeHtml(field.label)}</span>
+          </label>
+        </div>
+        ${renderFieldDescription(field)}
+      `;
+    };
+
+    /**
+     * Render one consent checkbox. Consent inputs carry data-consent instead of data-field-name,
+     * so they are never submitted as HubSpot properties. The label is rich text and may link to a policy.
+     */
+    const renderConsentCheckbox = (name, label, attributes) => `
+      <div class="circle-form_option-wrap">
+        <label class="w-checkbox">
+          <div class="w-checkbox-input w-checkbox-input--inputType-custom circle-checkbox"></div>
+          <input type="checkbox" name="${escapeHtml(name)}" id="${escapeHtml(`${idPrefix}${name}`)}" value="true" ${attributes} class="circle-checkbox-input">
+          <span class="circle-checkbox-label w-form-label" for="${escapeHtml(`${idPrefix}${name}`)}">${sanitizeRichText(label)}</span>
+        </label>
+      </div>
+    `;
+
+    /**
+     * Render the consent block from JSON config: subscription checkboxes, then the required processing checkbox
+     */
+    const renderConsentBlock = (container) => {
+      const name = consentConfig.name || 'legal_consent';
+      const communications = Array.isArray(consentConfig.communications) ? consentConfig.communications : [];
+
+      const block = document.createElement('div');
+      block.className = 'form-consent';
+      // HubSpot consent text is rich text and may hold its own paragraphs, so it goes in a div
+      block.innerHTML = `
+        ${consentConfig.communicationsText ? `<div class="form-consent_text">${sanitizeRichText(consentConfig.communicationsText)}</div>` : ''}
+        ${communications.map((communication) => renderConsentCheckbox(
+          `${name}_communication_${communication.subscriptionTypeId}`,
+          communication.label,
+          `data-consent="communication" data-subscription-type-id="${escapeHtml(communication.subscriptionTypeId)}" ${communication.required ? 'required' : ''}`
+        )).join('')}
+        ${consentConfig.processingText ? `<div class="form-consent_text">${sanitizeRichText(consentConfig.processingText)}</div>` : ''}
+        ${renderConsentCheckbox(`${name}_processing`, consentConfig.processingLabel, 'data-consent="processing" required')}
+        ${consentConfig.privacyText ? `<div class="form-consent_text">${sanitizeRichText(consentConfig.privacyText)}</div>` : ''}
+      `;
+      container.appendChild(block);
+
+      block.querySelectorAll('input[data-consent]').forEach((input) => {
+        input.addEventListener('change', () => {
+          const error = getConsentError(input);
+          if (error) {
+            showFieldError(input, error);
+          } else {
+            clearFieldError(input);
+          }
+          updateButtonState();
+        });
+      });
+
+      console.log('[DynamicForm] ✓ Consent block rendered');
+    };
+
+    /**
+     * Render reCAPTCHA container from JSON config
+     */
+    const renderRecaptchaContainer = (form, container = form) => {
+      let recaptchaContainer = form.querySelector('.recaptcha-container');
+    
+      if (!recaptchaContainer) {
+        recaptchaContainer = document.createElement('div');
+        recaptchaContainer.className = 'recaptcha-container';
+      
+        // Control visibility based on JSON config
+        if (recaptchaConfig.showOnlyWhenFormValid) {
+          recaptchaContainer.classList.add('is-hidden');
+        }
+      
+        container.appendChild(recaptchaContainer);
+        console.log('[DynamicForm] ✓ reCAPTCHA container created');
+      }
+    };
+
+    /**
+     * Render submit button from JSON config
+     */
+    const renderSubmitButton = (form, container = form) => {
+      // Remove any existing submit buttons from HTML
+      const existingButtons = form.querySelectorAll('.circle_button.is-form-long, button[type="submit"], input[type="submit"]');
+      existingButtons.forEach(btn => btn.remove());
+
+      // Create button from JSON config. A real button is reachable by keyboard and submits on Enter;
+      // while the form is incomplete it is marked aria-disabled rather than disabled, so it stays focusable.
+      const submitButton = document.createElement('button');
+      submitButton.type = 'submit';
+      submitButton.setAttribute('data-form-submit', '');
+      submitButton.className = submitButtonConfig.buttonClasses || 'circle_button is-form-long w-inline-block';
+    
+      const buttonBg = document.createElement('div');
+      buttonBg.className = 'circle_btn-bg';
+    
+      const buttonText = document.createElement('div');
+      buttonText.textContent = submitButtonConfig.buttonText || submitButtonConfig.text || t('submitButton');
+      buttonBg.appendChild(buttonText);
+    
+      // The icon is schema markup, so only a sanitized copy of the SVG is inserted
+      const icon = submitButtonConfig.buttonIcon ? sanitizeSvg(submitButtonConfig.buttonIcon) : null;
+      if (icon) {
+        const iconDiv = document.createElement('div');
+        iconDiv.className = 'icon-size-20px w-embed';
+        iconDiv.setAttribute('aria-hidden', 'true');
+        iconDiv.appendChild(icon);
+        buttonBg.appendChild(iconDiv);
+      } else if (submitButtonConfig.buttonIcon) {
+        console.warn('[DynamicForm] buttonIcon is not an inline <svg>, leaving it out');
+      }
+    
+      const buttonBlBg = document.createElement('div');
+      buttonBlBg.className = 'circle_btn-bl-bg';
+    
+      submitButton.appendChild(buttonBg);
+      submitButton.appendChild(buttonBlBg);
+    
+      container.appendChild(submitButton);
+      console.log('[DynamicForm] ✓ Submit button created from JSON');
+    
+      // Apply initial disabled state
+      submitButton.setAttribute('aria-disabled', 'true');
+      submitButton.classList.add('is-disabled');
+    };
+
+    /**
+     * Enable submit button
+     */
+    const enableSubmitButton = () => {
+      const submitButton = form.querySelector('[data-form-submit]');
+      if (!submitButton || !submitButtonConfig) return;
+    
+      submitButton.setAttribute('aria-disabled', 'false');
+      submitButton.classList.remove('is-disabled');
+      console.log('[DynamicForm] Submit button ENABLED');
+    };
+
+    /**
+     * Disable submit button
+     */
+    const disableSubmitButton = () => {
+      const submitButton = form.querySelector('[data-form-submit]');
+      if (!submitButton || !submitButtonConfig) return;
+    
+      submitButton.setAttribute('aria-disabled', 'true');
+      submitButton.classList.add('is-disabled');
+      console.log('[DynamicForm] Submit button DISABLED');
+    };
+
+    /**
+     * Setup form submission
+     */
+    const setupFormSubmission = () => {
+      const submitButton = form.querySelector('[data-form-submit]');
+      if (!submitButton) {
+        console.warn('[DynamicForm] Submit button not found');
+        return;
+      }
+
+      // Initially disable the button
+      disableSubmitButton();
+
+      // Add event listeners for real-time validation
+      const inputs = form.querySelectorAll(FIELD_INPUT_SELECTOR);
+      inputs.forEach((input) => {
+        input.addEventListener('change', updateButtonState);
+        input.addEventListener('input', updateButtonState);
+      });
+
+      submitButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+      
+        console.log('[DynamicForm] Submit button clicked');
+
+        // The button stays focusable while disabled, so a queued submission must not be sent twice
+        if (pendingSubmissionId) return;
+
+        trackEvent('submit_attempt');
+      
+        // Errors are shown next to the fields and announced, and focus moves to the first one;
+        // a modal here would take focus away from the field the user needs to fix
+        if (!(await validateForm())) {
+          console.log('[DynamicForm] Form validation failed');
+          reportSubmitFailure('invalid_fields');
+          return;
+        }
+
+        // Check reCAPTCHA if enabled
+        if (recaptchaConfig && recaptchaConfig.enabled && !recaptchaToken) {
+          console.log('[DynamicForm] reCAPTCHA not completed');
+          reportSubmitFailure('captcha', 'captcha_missing');
+          showErrorModal(t('captchaMissing'), t, themeProperties);
+          return;
+        }
+
+        console.log('[DynamicForm] All validations passed, submitting form');
+        await submitForm();
+      });
+    };
+
+    /**
+     * Update submit button state based on form validation
+     */
+    const updateButtonState = () => {
+      const submitButton = form.querySelector('[data-form-submit]');
+      if (!submitButton) return;
+
+      const isFormValid = isFormFieldsValid();
+      const isCaptchaValid = recaptchaConfig && recaptchaConfig.enabled ? recaptchaToken !== null : true;
+
+      // Update reCAPTCHA visibility if configured
+      if (recaptchaConfig && recaptchaConfig.enabled && recaptchaConfig.showOnlyWhenFormValid) {
+        updateRecaptchaVisibility();
+      }
+
+      if (isFormValid && isCaptchaValid && !pendingSubmissionId) {
+        enableSubmitButton();
+      } else {
+        disableSubmitButton();
+      }
+    };
+
+    /**
+     * Check if all required form fields are valid
+     */
+    const isFormFieldsValid = () => {
+      const inputs = getActiveInputs(form);
+
+      return Array.from(inputs).every((input) => getInputError(input, form) === null)
+        && getConsentInputs(form).every((input) => getConsentError(input) === null);
+    };
+
+    const getConsentInputs = (scope) => Array.from(scope.querySelectorAll('input[data-consent]'));
+
+    /**
+     * Required consent boxes must be ticked
+     */
+    const getConsentError = (input) => {
+      if (!input.required || input.checked) return null;
+
+      return input.getAttribute('data-consent') === 'processing' ? t('consentRequired') : t('tickBox');
+    };
+
+    /**
+     * Build HubSpot's legalConsentOptions from the consent checkboxes, recording the text the user saw
+     */
+    const collectLegalConsent = () => {
+      if (!consentConfig) return undefined;
+
+      const getLabelText = (input) => input.closest('label').textContent.replace(/\s+/g, ' ').trim();
+      const processingInput = form.querySelector('input[data-consent="processing"]');
+
+      return {
+        consent: {
+          consentToProcess: Boolean(processingInput && processingInput.checked),
+          text: processingInput ? getLabelText(processingInput) : '',
+          communications: getConsentInputs(form)
+            .filter((input) => input.getAttribute('data-consent') === 'communication')
+            .map((input) => ({
+              value: input.checked,
+              subscriptionTypeId: Number(input.getAttribute('data-subscription-type-id')),
+              text: getLabelText(input),
+            })),
+        },
+      };
+    };
+
+    /**
+     * Look up the formFields.json entry for a field name
+     */
+    const getFieldConfig = (fieldName) => formFields.find((field) => field.name === fieldName) || null;
+
+    /**
+     * Get the value to submit for an input, normalizing formats where needed
+     */
+    const getSubmitValue = (input) => {
+      const value = input.value.trim();
+      const field = getFieldConfig(input.getAttribute('data-field-name'));
+
+      if (input.dataset.phoneCountry) {
+        return toE164(input) || value;
+      }
+
+      if (input.type === 'date') {
+        // HubSpot date properties take midnight UTC as a millisecond timestamp
+        const [year, month, day] = value.split('-').map(Number);
+        return String(Date.UTC(year, month - 1, day));
+      }
+
+      if (getFieldFormat(field) === 'linkedin') {
+        return normalizeLinkedinUrl(value) || value;
+      }
+
+      if (getFieldFormat(field) === 'email') {
+        return value.toLowerCase();
+      }
+
+      return value;
+    };
+
+    /**
+     * Get the validation error for an input, or null when it is valid
+     */
+    const getInputError = (input, form) => {
+      if (input.type === 'hidden') return null;
+
+      if (isOptionInput(input)) {
+        if (!input.hasAttribute('required')) return null;
+
+        const checkboxGroup = form.querySelectorAll(`input[name="${CSS.escape(input.name)}"]`);
+        const anyChecked = Array.from(checkboxGroup).some((cb) => cb.checked);
+        if (anyChecked) return null;
+
+        if (input.hasAttribute('data-boolean-checkbox')) return t('tickBox');
+        return input.type === 'radio' ? t('selectOption') : t('selectAtLeastOne');
+      }
+
+      if (input.type === 'file') {
+        if (input.files.length === 0) {
+          return input.hasAttribute('required') ? t('chooseFile') : null;
+        }
+
+        return getFileError(getFieldConfig(input.getAttribute('data-field-name')) || {}, input.files[0], t);
+      }
+
+      const value = input.value.trim();
+      if (value === '') {
+        return input.hasAttribute('required') ? t('required') : null;
+      }
+
+      const field = getFieldConfig(input.getAttribute('data-field-name'));
+      if (!field) return null;
+
+      if (input.dataset.phoneCountry) {
+        const phoneError = getPhoneError(input, t, messageLocale);
+        if (phoneError) return phoneError;
+      }
+
+      return getFormatError(field, value, t) || getRuleError(field, value, t);
+    };
+
+    /**
+     * Show an error message under a field and highlight it
+     */
+    const showFieldError = (input, message) => {
+      const target = isOptionInput(input) ? input.closest('.circle-form_option-wrap') : input;
+      if (!target) return;
+
+      target.classList.add('is-invalid');
+
+      const errorId = `${idPrefix}${input.name}-error`;
+      let errorElement = document.getElementById(errorId);
+
+      if (!errorElement) {
+        errorElement = document.createElement('div');
+        errorElement.id = errorId;
+        errorElement.className = 'field-error-message';
+        target.insertAdjacentElement('afterend', errorElement);
+      }
+
+      // Tie the message to the input (every option of a group) so it is read when the field is focused
+      getErrorInputs(input).forEach((errorInput) => {
+        errorInput.setAttribute('aria-invalid', 'true');
+        toggleDescribedBy(errorInput, errorId, true);
+      });
+
+      // Blur and change both validate, so only report an error when it first appears or changes
+      if (errorElement.textContent !== message) {
+        trackEvent('field_error', { field_name: input.getAttribute('data-field-name') || input.name, error_message: message });
+      }
+
+      errorElement.textContent = message;
+    };
+
+    /**
+     * Remove the error message and highlight from a field
+     */
+    const clearFieldError = (input) => {
+      const target = isOptionInput(input) ? input.closest('.circle-form_option-wrap') : input;
+      if (!target) return;
+
+      target.classList.remove('is-invalid');
+
+      const errorId = `${idPrefix}${input.name}-error`;
+      const errorElement = document.getElementById(errorId);
+      if (errorElement) {
+        errorElement.remove();
+      }
+
+      getErrorInputs(input).forEach((errorInput) => {
+        errorInput.removeAttribute('aria-invalid');
+        toggleDescribedBy(errorInput, errorId, false);
+      });
+    };
+
+    /**
+     * The inputs an error belongs to: the input itself, or every option of a checkbox or radio group
+     */
+    const getErrorInputs = (input) => (isOptionInput(input)
+      ? Array.from(form.querySelectorAll(`input[name="${CSS.escape(input.name)}"]`))
+      : [input]);
+
+    /**
+     * Read a message out to screen readers through the form's live region
+     */
+    const announce = (message) => {
+      let liveRegion = form.querySelector('.form-live-region');
+
+      if (!liveRegion) {
+        liveRegion = document.createElement('div');
+        liveRegion.className = 'form-live-region sr-only';
+        liveRegion.setAttribute('aria-live', 'assertive');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        form.insertBefore(liveRegion, form.firstChild);
+      }
+
+      // Clear first so the same message is announced again on a repeated attempt
+      liveRegion.textContent = '';
+      setInstanceTimeout(() => {
+        liveRegion.textContent = message;
+      }, 100);
+    };
+
+    /**
+     * Validate form fields, optionally only those inside one step
+     */
+    const validateForm = (scope) => {
+      const inputs = getActiveInputs(scope || form);
+      let isValid = true;
+      let firstInvalidField = null;
+      const errors = {};
+
+      inputs.forEach((input) => {
+        const error = getInputError(input, form);
+
+        if (error) {
+          isValid = false;
+          errors[input.getAttribute('data-field-name')] = error;
+          showFieldError(input, error);
+          if (!firstInvalidField) firstInvalidField = input;
+        } else {
+          clearFieldError(input);
+        }
+      });
+
+      getConsentInputs(scope || form).forEach((input) => {
+        const error = getConsentError(input);
+
+        if (error) {
+          isValid = false;
+          errors[input.name] = error;
+          showFieldError(input, error);
+          if (!firstInvalidField) firstInvalidField = input;
+        } else {
+          clearFieldError(input);
+        }
+      });
+
+      if (firstInvalidField) revealInvalidField(firstInvalidField, Object.keys(errors).length);
+
+      emit('validate', { valid: isValid, errors, step: scope && stepsConfig ? currentStepIndex : null });
+
+      return isValid;
+    };
+
+    /**
+     * Bring the user back to the step holding a field with a problem, focus it and announce the problem
+     */
+    const revealInvalidField = (input, errorCount = 1) => {
+      if (stepsConfig) {
+        const stepElement = input.closest('[data-step-index]');
+        if (stepElement) showStep(Number(stepElement.getAttribute('data-step-index')));
+      }
+
+      const scrollTarget = isOptionInput(input) ? input.closest('.circle-form_option-wrap') || input : input;
+      scrollTarget.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setInstanceTimeout(() => input.focus({ preventScroll: true }), 500);
+
+      const errorElement = document.getElementById(`${idPrefix}${input.name}-error`);
+      const field = getFieldConfig(input.getAttribute('data-field-name'));
+      const summary = t('fieldsNeedAttention', { count: errorCount });
+      announce(`${summary} ${field && field.label ? `${field.label}: ` : ''}${errorElement ? errorElement.textContent : ''}`.trim());
+    };
+
+    /**
+     * Attach field errors returned by the submit endpoint to their inputs.
+     * Returns false when any error cannot be shown inline (no field, a hidden field or one
+     * this form does not render), so the caller falls back to the error modal.
+     */
+    const showSubmissionErrors = (errors) => {
+      if (!Array.isArray(errors) || errors.length === 0) return false;
+
+      let allShown = true;
+      let firstInvalidField = null;
+
+      let shownCount = 0;
+
+      errors.forEach((error) => {
+        // Input names carry the instance's id prefix, so match on the HubSpot field name instead
+        const input = error.field
+          ? getActiveInputs(form).find((candidate) => candidate.getAttribute('data-field-name') === error.field && candidate.type !== 'hidden')
+          : null;
+
+        if (!input) {
+          console.warn('[DynamicForm] Submission error without a visible field:', error);
+          allShown = false;
+          return;
+        }
+
+        showFieldError(input, t(SUBMISSION_FIELD_ERROR_MESSAGES[error.type] || DEFAULT_SUBMISSION_FIELD_ERROR));
+        shownCount += 1;
+        if (!firstInvalidField) firstInvalidField = input;
+      });
+
+      if (firstInvalidField) revealInvalidField(firstInvalidField, shownCount);
+
+      return allShown;
+    };
+
+    /**
+     * Add real-time validation styling
+     */
+    const addValidationListeners = () => {
+      const inputs = form.querySelectorAll(FIELD_INPUT_SELECTOR);
+    
+      inputs.forEach((input) => {
+        const validateInput = () => {
+          const error = getInputError(input, form);
+
+          // Show the cleaned-up LinkedIn URL once the user has entered a valid one
+          if (!error && getFieldFormat(getFieldConfig(input.getAttribute('data-field-name'))) === 'linkedin' && input.value.trim() !== '') {
+            input.value = getSubmitValue(input);
+          }
+
+          if (error) {
+            showFieldError(input, error);
+          } else {
+            clearFieldError(input);
+          }
+
+          updateButtonState();
+        };
+
+        // Only clear errors while typing; new errors appear once the user leaves the field
+        const revalidateInput = () => {
+          if (getInputError(input, form) === null) {
+            clearFieldError(input);
+          }
+
+          updateButtonState();
+        };
+
+        input.addEventListener('blur', validateInput);
+        input.addEventListener('change', validateInput);
+        input.addEventListener('input', revalidateInput);
+      });
+    };
+
+    /**
+     * Setup reCAPTCHA v2
+    */
+    const setupRecaptcha = () => {
+      if (!recaptchaConfig || !recaptchaConfig.enabled) {
+          console.log('[DynamicForm] reCAPTCHA disabled');
+          return;
+      }
+
+      if (typeof grecaptcha === 'undefined') {
+          console.warn('[DynamicForm] reCAPTCHA script not loaded, retrying...');
+          setInstanceTimeout(setupRecaptcha, 500);
+          return;
+      }
+
+      const recaptchaContainer = form.querySelector('.recaptcha-container');
+      if (!recaptchaContainer) {
+          console.warn('[DynamicForm] reCAPTCHA container not found');
+          return;
+      }
+
+      try {
+          // Render reCAPTCHA v2 checkbox; the widget id lets other forms on the page keep their own widget
+          recaptchaWidgetId = grecaptcha.enterprise.render(recaptchaContainer, {
+          sitekey: recaptchaConfig.siteKey,
+          action: recaptchaConfig.action || 'SUBMIT_FORM',
+          callback: (token) => {
+              recaptchaToken = token;
+              recaptchaTokenIssuedAt = Date.now();
+              console.log('[DynamicForm] reCAPTCHA v2 verified successfully');
+              trackEvent('captcha_complete');
+              updateButtonState();
+          },
+          'expired-callback': () => {
+              recaptchaToken = null;
+              console.log('[DynamicForm] reCAPTCHA v2 expired');
+              updateButtonState();
+          },
+          'error-callback': () => {
+              recaptchaToken = null;
+              console.log('[DynamicForm] reCAPTCHA v2 error');
+              updateButtonState();
+          }
+          });
+
+          console.log('[DynamicForm] ✓ reCAPTCHA v2 setup complete');
+        
+          // Set initial visibility based on config
+          if (recaptchaConfig.showOnlyWhenFormValid) {
+          updateRecaptchaVisibility();
+          } else {
+          recaptchaContainer.classList.toggle('is-hidden', recaptchaConfig.visible === false);
+          }
+        
+      } catch (error) {
+          console.error('[DynamicForm] Error rendering reCAPTCHA v2:', error);
+      }
+    };
+
+    /**
+     * Update reCAPTCHA visibility based on form validity
+     */
+    const updateRecaptchaVisibility = () => {
+      if (!recaptchaConfig || !recaptchaConfig.showOnlyWhenFormValid) return;
+    
+      const recaptchaContainer = form.querySelector('.recaptcha-container');
+      if (!recaptchaContainer) return;
+
+      recaptchaContainer.classList.toggle('is-hidden', !isFormFieldsValid());
+    };
+
+    /**
+     * Reset the reCAPTCHA widget and discard the current token
+     */
+    const resetRecaptcha = () => {
+      recaptchaToken = null;
+
+      if (typeof grecaptcha !== 'undefined' && grecaptcha.enterprise && recaptchaWidgetId !== null) {
+        grecaptcha.enterprise.reset(recaptchaWidgetId);
+      }
+
+      updateButtonState();
+    };
+
+    /**
+     * Collect form data
+     */
+    const collectFormData = () => {
+      const fields = [];
+      const processedFields = new Set();
+
+      // Files are sent separately by collectFiles()
+      const inputs = getActiveInputs(form).filter((input) => input.type !== 'file');
+
+      inputs.forEach((input) => {
+        const fieldName = input.getAttribute('data-field-name');
+        const objectTypeId = input.getAttribute('data-object-type-id');
+
+        if (input.hasAttribute('data-boolean-checkbox')) {
+          fields.push({
+            objectTypeId: objectTypeId,
+            name: fieldName,
+            value: input.checked ? 'true' : 'false',
+          });
+        } else if (isOptionInput(input)) {
+          if (!processedFields.has(fieldName)) {
+            processedFields.add(fieldName);
+          
+            const checkboxGroup = form.querySelectorAll(`input[name="${CSS.escape(input.name)}"]:checked`);
+            const values = Array.from(checkboxGroup).map((cb) => cb.value);
+          
+            if (values.length > 0) {
+              fields.push({
+                objectTypeId: objectTypeId,
+                name: fieldName,
+                value: values.join('; '),
+              });
+            }
+          }
+        } else if (input.value.trim() !== '') {
+          fields.push({
+            objectTypeId: objectTypeId,
+            name: fieldName,
+            value: getSubmitValue(input),
+          });
+        }
+      });
+
+      return { fields };
+    };
+
+    /**
+     * Read the selected files for the submission. The submit endpoint stores them in HubSpot once the
+     * reCAPTCHA token checks out and submits their URLs, which is what HubSpot expects for file fields.
+     */
+    const collectFiles = async () => {
+      const fileInputs = getActiveInputs(form).filter((input) => input.type === 'file' && input.files.length > 0);
+      const files = [];
+
+      for (const input of fileInputs) {
+        const file = input.files[0];
+        files.push({
+          objectTypeId: input.getAttribute('data-object-type-id'),
+          name: input.getAttribute('data-field-name'),
+          fileName: file.name,
+          data: await readFileAsBase64(file),
+        });
+      }
+
+      return files;
+    };
+
+    /**
+     * Add the visitor's attribution to the submitted fields for the properties in attributionFields.
+     * Only properties the form renders as hidden fields are sent, since HubSpot rejects a submission
+     * naming a property the form does not have.
+     */
+    const addAttribution = (fields) => {
+      const attributionFields = config.attributionFields || {};
+      const values = getAttributionValues();
+      const hiddenInputs = getActiveInputs(form).filter((input) => input.type === 'hidden');
+
+      return Object.keys(attributionFields).reduce((result, key) => {
+        const name = attributionFields[key];
+        const input = hiddenInputs.find((candidate) => candidate.getAttribute('data-field-name') === name);
+        if (!values[key] || !input) return result;
+
+        const existing = result.find((field) => field.name === name);
+        if (existing) {
+          return result.map((field) => (field === existing ? { ...field, value: values[key] } : field));
+        }
+        return [...result, { objectTypeId: input.getAttribute('data-object-type-id'), name, value: values[key] }];
+      }, fields);
+    };
+
+    /**
+     * Mark the form and its submit button as busy and show the preloader, or clear that again
+     */
+    const setLoading = (loading) => {
+      const submitButton = form.querySelector('[data-form-submit]');
+      form.classList.toggle('is-loading', loading);
+      if (submitButton) submitButton.classList.toggle('is-loading', loading);
+
+      if (loading) {
+        form.setAttribute('aria-busy', 'true');
+        showLoadingPreloader(t, themeProperties);
+      } else {
+        form.removeAttribute('aria-busy');
+        hideLoadingPreloader();
+      }
+    };
+
+    /**
+     * Submit form to HubSpot
+     */
+    const submitForm = async () => {
+      try {
+        if (recaptchaConfig && recaptchaConfig.enabled && !recaptchaToken) {
+          console.error('[DynamicForm] reCAPTCHA token missing');
+          showErrorModal(t('captchaTokenMissing'), t, themeProperties);
+          return;
+        }
+
+        setLoading(true);
+
+        let files;
+        try {
+          files = await collectFiles();
+        } catch (error) {
+          console.error('[DynamicForm] Could not read the selected file:', error);
+          reportSubmitFailure('upload');
+          setLoading(false);
+          showErrorModal(t('uploadFailed'), t, themeProperties);
+          return;
+        }
+
+        const formData = collectFormData();
+        const submission = {
+          id: generateSubmissionId(),
+          formKey: formKey,
+          endpoint: config.submitEndpoint,
+          createdAt: Date.now(),
+          recaptchaIssuedAt: recaptchaTokenIssuedAt,
+          captchaVerified: false,
+          attempts: 0,
+          nextAttemptAt: Date.now(),
+          payload: null,
+        };
+        submission.payload = {
+          portalId: config.hubspotPortalId,
+          formGuid: config.hubspotFormGuid,
+          submissionId: submission.id,
+          fields: addAttribution(formData.fields),
+          files: files,
+          recaptchaToken: recaptchaToken,
+          legalConsentOptions: collectLegalConsent(),
+          context: {
+            hutk: readCookie('hubspotutk') || undefined,
+            pageUri: window.location.href,
+            pageName: config.pageName || document.title,
+          },
+        };
+
+        if (!(await runBeforeSubmit(submission.payload))) {
+          console.log('[DynamicForm] Submission cancelled by a beforeSubmit handler');
+          setLoading(false);
+          return;
+        }
+
+        console.log('[DynamicForm] Submitting form...');
+
+        const outcome = await sendSubmission(submission);
+
+        setLoading(false);
+
+        if (outcome.status === 'sent') {
+          console.log('[DynamicForm] Form submitted successfully:', outcome.result);
+          reportSubmitSuccess(submission.id, outcome.result, false);
+          // Reset first, as going back to the first step would move focus away from the message
+          resetForm();
+          recaptchaToken = null;
+          runSuccessAction(submission.payload.fields, outcome.result);
+          return;
+        }
+
+        reportSubmitFailure(getFailureCategory(outcome), outcome.result.error, outcome.result);
+
+        if (outcome.status === 'retry' && queueSubmission({ ...submission, captchaVerified: isCaptchaVerified(outcome) })) {
+          return;
+        }
+
+        console.error('[DynamicForm] Form submission failed:', outcome.httpStatus, outcome.result);
+
+        // The token has been spent on the server assessment, so a fresh one is needed for any retry
+        resetRecaptcha();
+
+        if (outcome.status === 'retry') {
+          showErrorModal(t('submitNetworkError'), t, themeProperties);
+        } else if (outcome.result.error === 'validation_failed') {
+          if (!showSubmissionErrors(outcome.result.errors)) {
+            showErrorModal(t('submitRejectedFields'), t, themeProperties);
+          }
+        } else if (CAPTCHA_ERROR_MESSAGES[outcome.result.error]) {
+          showErrorModal(t(CAPTCHA_ERROR_MESSAGES[outcome.result.error]), t, themeProperties);
+        } else if (FILE_ERRORS.includes(outcome.result.error)) {
+          showErrorModal(t('uploadFailed'), t, themeProperties);
+        } else {
+          showErrorModal(t('submitFailed'), t, themeProperties);
+        }
+      } catch (error) {
+        console.error('[DynamicForm] Error submitting form:', error);
+        reportSubmitFailure('network', null);
+        setLoading(false);
+        showErrorModal(t('submitNetworkError'), t, themeProperties);
+      }
+    };
+
+    /**
+     * Save a submission that could not be sent so it is retried in the background.
+     * Returns false when it cannot be stored, in which case the user has to retry by hand.
+     */
+    const queueSubmission = (submission) => {
+      const queued = { ...submission, attempts: 1, nextAttemptAt: Date.now() + RETRY_BASE_DELAY_MS };
+
+      // Files would not fit in localStorage, so those submissions are retried by hand
+      if (submission.payload.files.length > 0 || !writeSubmissionQueue([...readSubmissionQueue(), queued])) {
+        return false;
+      }
+
+      pendingSubmissionId = submission.id;
+      disableSubmitButton();
+      console.log('[DynamicForm] Submission queued for retry:', submission.id);
+
+      showQueueNotice(navigator.onLine === false ? t('queuedOffline') : t('queuedRetrying'));
+
+      processSubmissionQueue();
+      return true;
+    };
+
+    /**
+     * Show a status message about a saved submission above the fields
+     */
+    const showQueueNotice = (message) => {
+      let notice = form.querySelector('.form-queue-notice');
+
+      if (!notice) {
+        notice = document.createElement('div');
+        notice.className = 'form-queue-notice';
+        notice.setAttribute('role', 'status');
+        notice.setAttribute('aria-live', 'polite');
+
+        const fieldsContainer = form.querySelector(config.fieldsSelector);
+        if (fieldsContainer) {
+          fieldsContainer.insertAdjacentElement('beforebegin', notice);
+        } else {
+          form.insertBefore(notice, form.firstChild);
+        }
+      }
+
+      notice.textContent = message;
+    };
+
+    const clearQueueNotice = () => {
+      const notice = form.querySelector('.form-queue-notice');
+      if (notice) notice.remove();
+    };
+
+    /**
+     * Put submitted values back into the form, converting from the submitted formats
+     */
+    const restoreFieldValues = (fields) => {
+      fields.forEach(({ name, value }) => {
+        const inputs = Array.from(form.querySelectorAll(`[data-field-name="${CSS.escape(name)}"]`));
+
+        inputs.forEach((input) => {
+          if (input.type === 'file') return;
+
+          if (input.hasAttribute('data-boolean-checkbox')) {
+            input.checked = value === 'true';
+          } else if (isOptionInput(input)) {
+            input.checked = String(value).split('; ').includes(input.value);
+          } else if (input.dataset.phoneCountry && String(value).startsWith('+')) {
+            const digits = String(value).replace(/\D/g, '');
+            const country = findCountryByDialCode(digits, input.dataset.phoneCountry) || getPhoneCountry(input.dataset.phoneCountry);
+            const countrySelect = form.querySelector(`select[data-phone-country-for="${CSS.escape(input.id)}"]`);
+
+            input.dataset.phoneCountry = country.code;
+            if (countrySelect) countrySelect.value = country.code;
+            input.value = formatNationalNumber(digits.slice(country.dialCode.length), country);
+          } else if (input.type === 'date' && /^\d+$/.test(String(value))) {
+            input.value = new Date(Number(value)).toISOString().slice(0, 10);
+          } else {
+            input.value = value;
+          }
+        });
+      });
+
+      evaluateDependentFields();
+      updateButtonState();
+    };
+
+    const isDraftEnabled = () => config.saveDrafts !== false && config.saveDrafts !== 'false';
+
+    const getDraftKey = () => `${DRAFT_KEY_PREFIX}${formKey}`;
+
+    /**
+     * Read this form's draft, discarding it once it has expired
+     */
+    const readDraft = () => {
+      try {
+        const draft = JSON.parse(window.localStorage.getItem(getDraftKey()) || 'null');
+        if (!draft || !Array.isArray(draft.fields)) return null;
+
+        if (Date.now() - draft.savedAt > DRAFT_MAX_AGE_MS) {
+          window.localStorage.removeItem(getDraftKey());
+          return null;
+        }
+
+        return draft;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    /**
+     * Save the current values. Hidden fields are left out so their defaults always come from the schema.
+     */
+    const saveDraft = () => {
+      const fields = collectFormData().fields.filter((field) =>
+        !form.querySelector(`input[type="hidden"][data-field-name="${CSS.escape(field.name)}"]`)
+      );
+
+      try {
+        if (fields.length === 0) {
+          window.localStorage.removeItem(getDraftKey());
+        } else {
+          window.localStorage.setItem(getDraftKey(), JSON.stringify({
+            savedAt: Date.now(),
+            step: currentStepIndex,
+            fields: fields,
+          }));
+        }
+      } catch (error) {
+        console.warn('[DynamicForm] Could not save draft:', error.message);
+        return;
+      }
+
+      toggleDraftControl(fields.length > 0);
+    };
+
+    /**
+     * Fill the form from the saved draft, if there is one
+     */
+    const restoreDraft = () => {
+      if (!isDraftEnabled()) return;
+
+      const draft = readDraft();
+      if (!draft) return;
+
+      restoreFieldValues(draft.fields);
+      if (stepsConfig && draft.step) {
+        showStep(draft.step);
+      }
+
+      toggleDraftControl(true);
+      console.log('[DynamicForm] ✓ Draft restored from', new Date(draft.savedAt).toISOString());
+    };
+
+    /**
+     * Forget the saved draft. Only done after a confirmed submission or when the user starts over.
+     */
+    const clearDraft = () => {
+      clearTimeout(draftSaveTimer);
+      draftSaveTimer = null;
+
+      try {
+        window.localStorage.removeItem(getDraftKey());
+      } catch (error) {
+        // Storage is unavailable, so there is nothing to clear
+      }
+
+      toggleDraftControl(false);
+    };
+
+    /**
+     * Show or hide the "Start over" control that discards the draft
+     */
+    const toggleDraftControl = (visible) => {
+      let control = form.querySelector('.form-draft-control');
+
+      if (!visible) {
+        if (control) control.remove();
+        return;
+      }
+
+      if (control) return;
+
+      control = document.createElement('div');
+      control.className = 'form-draft-control';
+
+      const text = document.createElement('span');
+      text.textContent = t('draftSaved');
+      control.appendChild(text);
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'form-draft-control_button';
+      button.textContent = t('draftStartOver');
+      button.addEventListener('click', () => {
+        resetForm();
+        console.log('[DynamicForm] Draft discarded');
+      });
+      control.appendChild(button);
+
+      const fieldsContainer = form.querySelector(config.fieldsSelector);
+      if (fieldsContainer) {
+        fieldsContainer.insertAdjacentElement('beforebegin', control);
+      } else {
+        form.insertBefore(control, form.firstChild);
+      }
+    };
+
+    /**
+     * Save a draft shortly after the user stops typing, and right away when the page is left
+     */
+    const setupDraftAutosave = () => {
+      if (!isDraftEnabled()) return;
+
+      const scheduleSave = () => {
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = setTimeout(() => {
+          draftSaveTimer = null;
+          saveDraft();
+        }, DRAFT_SAVE_DELAY_MS);
+      };
+
+      form.addEventListener('input', scheduleSave, { signal: lifecycle.signal });
+      form.addEventListener('change', scheduleSave, { signal: lifecycle.signal });
+      window.addEventListener('pagehide', () => {
+        if (draftSaveTimer) {
+          clearTimeout(draftSaveTimer);
+          draftSaveTimer = null;
+          saveDraft();
+        }
+      }, { signal: lifecycle.signal });
+      lifecycle.signal.addEventListener('abort', () => clearTimeout(draftSaveTimer));
+    };
+
+    /**
+     * A submission from the queue went through
+     */
+    const handleQueuedSubmissionSent = (submission, result) => {
+      reportSubmitSuccess(submission.id, result, true);
+      pendingSubmissionId = null;
+      clearQueueNotice();
+      resetForm();
+      runSuccessAction(submission.payload.fields, result);
+    };
+
+    /**
+     * A queued submission's reCAPTCHA token ran out, so the user has to verify again and resend
+     */
+    const handleQueuedSubmissionNeedsVerification = (submission) => {
+      pendingSubmissionId = null;
+      restoreFieldValues(submission.payload.fields);
+      resetRecaptcha();
+      showQueueNotice(t('queuedNeedsVerification'));
+    };
+
+    /**
+     * The server refused a queued submission for good
+     */
+    const handleQueuedSubmissionRejected = (submission, result) => {
+      reportSubmitFailure(getFailureCategory({ status: 'failed', result: result || {} }), result && result.error, result);
+      pendingSubmissionId = null;
+      clearQueueNotice();
+      restoreFieldValues(submission.payload.fields);
+      resetRecaptcha();
+
+      if (result && result.error === 'validation_failed' && showSubmissionErrors(result.errors)) {
+        return;
+      }
+      showErrorModal(t('submitFailed'), t, themeProperties);
+    };
+
+    /**
+     * Do what the submit entry's successAction asks for: show a message, redirect, offer a booking link
+     * or open a thank-you modal. A HubSpot form set to redirect always redirects, and HubSpot's inline
+     * message is shown when the action has no message of its own.
+     */
+    const runSuccessAction = (fields, result) => {
+      const action = (submitButtonConfig && submitButtonConfig.successAction) || {};
+      const type = SUCCESS_ACTION_TYPES.includes(action.type) ? action.type : 'message';
+      const values = (fields || []).reduce((submitted, field) => ({ ...submitted, [field.name]: String(field.value) }), {});
+
+      const hubspotRedirect = result && getSafeUrl(result.redirectUri);
+      if (hubspotRedirect) {
+        redirectTo(hubspotRedirect);
+        return;
+      }
+
+      const url = action.url ? getSafeUrl(fillTemplate(action.url, values, encodeURIComponent)) : null;
+      if (action.url && !url) {
+        console.warn('[DynamicForm] successAction url is not a web or relative link, leaving it out:', action.url);
+      }
+
+      if (type === 'redirect' && url) {
+        redirectTo(url);
+        return;
+      }
+
+      const inlineMessage = result && typeof result.inlineMessage === 'string' && result.inlineMessage.trim() !== ''
+        ? sanitizeRichText(result.inlineMessage)
+        : null;
+      const hasOwnText = action.title !== undefined || action.message !== undefined;
+      const title = action.title !== undefined ? fillTemplate(action.title, values, (value) => value) : t('successTitle');
+      const messageHtml = action.message !== undefined
+        ? sanitizeRichText(fillTemplate(action.message, values, escapeHtml))
+        : inlineMessage || escapeHtml(t('successMessage'));
+      const link = url ? { href: url, text: action.linkText || t('bookingLink') } : null;
+
+      if (type === 'modal') {
+        showSuccessModal(title, messageHtml, link, t, themeProperties);
+        console.log('[DynamicForm] Thank-you modal displayed');
+        return;
+      }
+
+      // Without text of its own the action keeps the original signed message
+      showSuccessMessage(title, messageHtml, link, !hasOwnText);
+    };
+
+    /**
+     * Leave the page for a thank-you or booking page
+     */
+    const redirectTo = (url) => {
+      console.log('[DynamicForm] Redirecting after submission to', url);
+      window.location.assign(url);
+    };
+
+    /**
+     * Show success message in place of the form. Webflow keeps the message next to the form inside the
+     * .w-form wrapper; forms without one get a message element after the form.
+     */
+    const showSuccessMessage = (title, messageHtml, link, signed) => {
+      const wrapper = form.closest('.w-form') || form.parentElement;
+      let successDiv = wrapper && wrapper.querySelector('.form-success-message');
+
+      if (!successDiv) {
+        successDiv = document.createElement('div');
+        successDiv.className = 'form-success-message';
+        form.insertAdjacentElement('afterend', successDiv);
+      }
+
+      const content = successDiv.querySelector('.success-result_content') || successDiv;
+      const signature = signed ? `<br><br>${escapeHtml(t('successSignOff'))} <br><br>${escapeHtml(t('successSignature'))}` : '';
+      content.innerHTML = `
+        <div class="text-size-medium-new text-weight-semibold text-color-brand">${escapeHtml(title)}</div>
+        <div class="text-size-regular">${messageHtml}${signature}</div>
+        ${link ? `<a class="form-success_link" href="${escapeHtml(link.href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.text)}</a>` : ''}
+      `;
+
+      form.classList.add('is-hidden');
+      successDiv.classList.add('active');
+
+      // The submit button that had focus is hidden with the form, so move focus to the message
+      content.setAttribute('tabindex', '-1');
+      content.focus();
+      console.log('[DynamicForm] Success message displayed');
+    };
+
+    /**
+     * Reset form, discarding the saved draft so the cleared values are not restored later
+     */
+    const resetForm = () => {
+      form.reset();
+      clearDraft();
+
+      // form.reset() restores the country pickers, so keep the phone inputs in sync with them
+      form.querySelectorAll('select[data-phone-country-for]').forEach((countrySelect) => {
+        const phoneInput = document.getElementById(countrySelect.getAttribute('data-phone-country-for'));
+        if (phoneInput) phoneInput.dataset.phoneCountry = countrySelect.value;
+      });
+
+      evaluateDependentFields();
+
+      if (stepsConfig) {
+        showStep(0);
+      }
+
+      resetRecaptcha();
+      disableSubmitButton();
+      focusedFields.clear();
+      console.log('[DynamicForm] Form reset');
+    };
+
+    const instance = {
+      form,
+      ready: null,
+      on,
+      off,
+      getValues,
+      setValues,
+      reset: resetForm,
+      destroy,
+    };
+
+    Object.keys(LIFECYCLE_CALLBACK_OPTIONS).forEach((option) => {
+      if (typeof config[option] === 'function') on(LIFECYCLE_CALLBACK_OPTIONS[option], config[option]);
+    });
+
+    instances.set(form, instance);
+    instance.ready = mount();
+
+    return instance;
+  };
+
+  /**
+   * Read create() options from a container's data attributes
+   */
+  const getDataOptions = (element) => {
+    const options = {};
+
+    Object.keys(DATA_ATTRIBUTE_OPTIONS).forEach((key) => {
+      if (element.dataset[key] !== undefined) {
+        options[DATA_ATTRIBUTE_OPTIONS[key]] = element.dataset[key];
+      }
+    });
+
+    return options;
+  };
+
+  /**
+   * Mount every [data-dynamic-form] container that is not mounted yet.
+   * Safe to call repeatedly: mounted forms are skipped, so nothing re-renders or binds twice.
+   */
+  const init = (root = document) => {
+    const containers = Array.from(root.querySelectorAll('[data-dynamic-form]'));
+    if (root !== document && root.matches('[data-dynamic-form]')) {
+      containers.unshift(root);
+    }
+
+    return containers.reduce((mounted, element) => {
+      const form = element.tagName === 'FORM' ? element : element.querySelector('form');
+      if ((form && instances.has(form)) || failedContainers.has(element)) return mounted;
+
+      try {
+        mounted.push(create(element, getDataOptions(element)));
+      } catch (error) {
+        failedContainers.add(element);
+        console.error('[DynamicForm] Could not mount form:', error.message, element);
+      }
+
+      return mounted;
+    }, []);
+  };
+
+  /**
+   * The mounted instance for a form, an element containing it, or a selector; null if it is not mounted
+   */
+  const get = (element) => {
+    const target = typeof element === 'string' ? document.querySelector(element) : element;
+    const form = target && (target.tagName === 'FORM' ? target : target.querySelector('form'));
+    return (form && instances.get(form)) || null;
+  };
+
+  // Public API
+  return {
+    create: create,
+    init: init,
+    get: get,
+  };
+})();
+
+// Mount forms when the DOM is ready, or right away if the script loads after that
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    DynamicFormHandler.init();
+  });
+} else {
   DynamicFormHandler.init();
-});
+}
 
-// Also initialize on Webflow ready event if available
+// Webflow ready may fire as well; init() only mounts forms that are not mounted yet
 if (typeof Webflow !== 'undefined') {
   Webflow.push(() => {
     DynamicFormHandler.init();
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,251 @@
+/**
+ * Form Schema Validator
+ * Checks a formFields.json field list against data/formFields.schema.json and reports
+ * problems with the entry and property they belong to, so a typo is caught before it renders.
+ * Implements the JSON Schema keywords the schema file uses; runs in the browser and in Node.
+ */
+
+const FormSchemaValidator = (() => {
+  // Form UI entries that are not HubSpot fields
+  const SPECIAL_FIELD_TYPES = ['recaptcha', 'steps', 'submit', 'consent', 'theme'];
+
+  /**
+   * Describe a value's JSON type for error messages
+   */
+  const getJsonType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  };
+
+  const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return getJsonType(value) === type;
+  };
+
+  /**
+   * Resolve a local "#/definitions/name" reference
+   */
+  const resolveRef = (ref, rootSchema) => {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+    if (!target) {
+      throw new Error(`Schema reference ${ref} cannot be resolved`);
+    }
+    return target;
+  };
+
+  /**
+   * Edit distance between two short strings, used to suggest the enum value that was meant
+   */
+  const getEditDistance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+      }
+    }
+
+    return row[b.length];
+  };
+
+  const getSuggestion = (value, allowed) => {
+    if (typeof value !== 'string') return '';
+
+    const closest = allowed
+      .filter((option) => typeof option === 'string')
+      .map((option) => ({ option, distance: getEditDistance(value.toLowerCase(), option.toLowerCase()) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    return closest && closest.distance <= 2 ? ` Did you mean "${closest.option}"?` : '';
+  };
+
+  /**
+   * Validate a value against a schema node, appending { path, message } entries to errors
+   */
+  const validateNode = (value, schema, rootSchema, path, errors) => {
+    if (schema.$ref) {
+      validateNode(value, resolveRef(schema.$ref, rootSchema), rootSchema, path, errors);
+      return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+      errors.push({ path, message: `must be of type ${schema.type}, got ${getJsonType(value)}` });
+      return;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({
+        path,
+        message: `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}.${getSuggestion(value, schema.enum)}`.replace(/\.$/, ''),
+      });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `${JSON.stringify(value)} does not match the pattern ${schema.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}` });
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be at most ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, rootSchema, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (getJsonType(value) === 'object') {
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          errors.push({ path, message: `is missing the required property "${key}"` });
+        }
+      });
+
+      Object.keys(schema.properties || {}).forEach((key) => {
+        if (value[key] !== undefined) {
+          validateNode(value[key], schema.properties[key], rootSchema, path ? `${path}.${key}` : key, errors);
+        }
+      });
+
+      // Maps keyed by a locale or option value, where every key follows the same schema
+      if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        Object.keys(value)
+          .filter((key) => !(schema.properties && key in schema.properties))
+          .forEach((key) => validateNode(value[key], schema.additionalProperties, rootSchema, path ? `${path}.${key}` : key, errors));
+      }
+    }
+
+    (schema.allOf || []).forEach((subSchema) => validateNode(value, subSchema, rootSchema, path, errors));
+
+    if (schema.if) {
+      const conditionErrors = [];
+      validateNode(value, schema.if, rootSchema, path, conditionErrors);
+      const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+      if (branch) {
+        validateNode(value, branch, rootSchema, path, errors);
+      }
+    }
+  };
+
+  /**
+   * Validate a value against a full JSON Schema document
+   */
+  const validate = (value, schema) => {
+    const errors = [];
+    validateNode(value, schema, schema, '', errors);
+    return errors;
+  };
+
+  /**
+   * Collect HubSpot field names, including conditional fields nested in dependentFieldFilters
+   */
+  const collectFieldNames = (fields, names = []) => {
+    fields.forEach((field) => {
+      if (!field || typeof field.name !== 'string') return;
+      names.push(field.name);
+      (field.dependentFieldFilters || []).forEach((dependency) => {
+        if (dependency && dependency.dependentFormField) {
+          collectFieldNames([dependency.dependentFormField], names);
+        }
+      });
+    });
+    return names;
+  };
+
+  /**
+   * Validate a formFields.json list: the schema, plus checks that span entries
+   * (duplicate names, repeated form UI entries, steps naming fields that do not exist).
+   * Each error is { path, field, message }, where field is the name of the entry it belongs to.
+   */
+  const validateFormFields = (fields, schema) => {
+    const errors = validate(fields, schema).map((error) => {
+      const indexMatch = /^\[(\d+)\]/.exec(error.path);
+      const entry = indexMatch && Array.isArray(fields) ? fields[Number(indexMatch[1])] : null;
+      return { ...error, field: entry && typeof entry.name === 'string' ? entry.name : null };
+    });
+
+    if (!Array.isArray(fields)) return errors;
+
+    const regularFields = fields.filter((field) => field && !SPECIAL_FIELD_TYPES.includes(field.fieldType));
+    const seenNames = new Set();
+
+    collectFieldNames(regularFields).forEach((name) => {
+      if (seenNames.has(name)) {
+        errors.push({ path: '', field: name, message: `field name "${name}" is used more than once` });
+      }
+      seenNames.add(name);
+    });
+
+    SPECIAL_FIELD_TYPES.forEach((fieldType) => {
+      const entries = fields.filter((field) => field && field.fieldType === fieldType);
+      if (entries.length > 1) {
+        errors.push({ path: '', field: null, message: `found ${entries.length} "${fieldType}" entries; only the first one is used` });
+      }
+    });
+
+    fields.forEach((field, index) => {
+      if (!field || field.fieldType !== 'steps' || !Array.isArray(field.steps)) return;
+
+      field.steps.forEach((step, stepIndex) => {
+        ((step && step.fields) || []).forEach((name, nameIndex) => {
+          if (!seenNames.has(name)) {
+            errors.push({
+              path: `[${index}].steps[${stepIndex}].fields[${nameIndex}]`,
+              field: field.name || null,
+              message: `"${name}" is not the name of any field.${getSuggestion(name, Array.from(seenNames))}`.replace(/\.$/, ''),
+            });
+          }
+        });
+      });
+    });
+
+    return errors;
+  };
+
+  /**
+   * Format an error as one line, e.g. [3] (email).fieldType: must be one of ...
+   */
+  const formatError = (error) => {
+    const location = error.field && error.path
+      ? error.path.replace(/^(\[\d+\])/, `$1 (${error.field})`)
+      : error.path || (error.field ? `(${error.field})` : 'formFields');
+    return `${location}: ${error.message}`;
+  };
+
+  return {
+    validate: validate,
+    validateFormFields: validateFormFields,
+    formatError: formatError,
+  };
+})();
+
+// Also usable from Node, see scripts/validate-form-fields.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormSchemaValidator;
+}
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Validate form field configuration offline
+ * Usage: node scripts/validate-form-fields.js [file ...]
+ * Checks each file (data/formFields.json by default) against data/formFields.schema.json
+ * and exits with status 1 if any problem is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FormSchemaValidator = require('../js/formSchemaValidator');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT_DIR, 'data', 'formFields.schema.json');
+const DEFAULT_FILES = [path.join(ROOT_DIR, 'data', 'formFields.json')];
+
+/**
+ * Read and parse a JSON file, reporting syntax errors with the file name
+ */
+const readJson = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${path.relative(process.cwd(), filePath)} is not valid JSON: ${error.message}`);
+  }
+};
+
+const main = () => {
+  const schema = readJson(SCHEMA_PATH);
+  const files = process.argv.length > 2 ? process.argv.slice(2).map((file) => path.resolve(file)) : DEFAULT_FILES;
+  let errorCount = 0;
+
+  files.forEach((filePath) => {
+    const displayPath = path.relative(process.cwd(), filePath);
+    let errors;
+
+    try {
+      errors = FormSchemaValidator.validateFormFields(readJson(filePath), schema);
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      errorCount += 1;
+      return;
+    }
+
+    if (errors.length === 0) {
+      console.log(`✓ ${displayPath}`);
+      return;
+    }
+
+    console.error(`✗ ${displayPath}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+    errors.forEach((error) => console.error(`  ${FormSchemaValidator.formatError(error)}`));
+    errorCount += errors.length;
+  });
+
+  process.exitCode = errorCount > 0 ? 1 : 0;
+};
+
+main();
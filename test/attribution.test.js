@@ -0,0 +1,35 @@
+/**
+ * Marketing attribution is submitted only for properties the form has as hidden fields
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountForm, settle } = require('./browser');
+
+test('fills hidden attribution fields and leaves out properties the form does not have', async () => {
+  let payload = null;
+  const page = await mountForm({
+    fields: [
+      { fieldType: 'text', name: 'email', label: 'Email', objectTypeId: '0-1' },
+      { fieldType: 'text', name: 'utm_source', label: 'Source', hidden: true, objectTypeId: '0-1' },
+      { fieldType: 'submit', name: 'submit_button', buttonText: 'Apply' },
+    ],
+    url: 'https://circle.example/apply?utm_source=linkedin&utm_medium=social&gclid=abc',
+    onSubmit: (body) => {
+      payload = body;
+      return { body: { success: true } };
+    },
+  });
+
+  try {
+    page.document.querySelector('[data-field-name="email"]').value = 'ada@example.com';
+    page.document.querySelector('[data-form-submit]').click();
+    await settle(100);
+
+    assert.notEqual(payload, null);
+    assert.deepEqual(payload.fields.map((field) => field.name).sort(), ['email', 'utm_source']);
+    assert.equal(payload.fields.find((field) => field.name === 'utm_source').value, 'linkedin');
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,155 @@
+/**
+ * Mounts js/dynamicFormHandler.js on a jsdom page for the form tests.
+ * jsdom is a devDependency; run `npm install` before `npm test`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const HANDLER_SOURCE = path.join(ROOT, 'js', 'dynamicFormHandler.js');
+const VALIDATOR_SOURCE = path.join(ROOT, 'js', 'formSchemaValidator.js');
+const LOCALES_DIR = path.join(ROOT, 'data', 'locales');
+const SCHEMA_FILE = path.join(ROOT, 'data', 'formFields.schema.json');
+
+const FORM_MARKUP = `<!DOCTYPE html>
+<html lang="{lang}">
+  <body>
+    <div id="form-root">
+      <form><div class="circle-form_fields"></div></form>
+    </div>
+  </body>
+</html>`;
+
+/**
+ * CSS.escape as specified in CSSOM, which every supported browser has but jsdom does not
+ */
+const cssEscape = (value) => {
+  const string = String(value);
+  let result = '';
+
+  for (let index = 0; index < string.length; index += 1) {
+    const code = string.charCodeAt(index);
+    const isDigit = code >= 0x30 && code <= 0x39;
+
+    if (code === 0) {
+      result += '\uFFFD';
+    } else if ((code >= 0x01 && code <= 0x1f) || code === 0x7f || (index === 0 && isDigit) || (index === 1 && isDigit && string.charCodeAt(0) === 0x2d)) {
+      result += `\\${code.toString(16)} `;
+    } else if (index === 0 && string.length === 1 && code === 0x2d) {
+      result += `\\${string[index]}`;
+    } else if (code >= 0x80 || code === 0x2d || code === 0x5f || isDigit || (code >= 0x41 && code <= 0x5a) || (code >= 0x61 && code <= 0x7a)) {
+      result += string[index];
+    } else {
+      result += `\\${string[index]}`;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * A fetch Response stand-in with the parts the handler reads
+ */
+const createFetchResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+/**
+ * Render a form from the given formFields.json entries and wait until it is ready.
+ * The entries are served at /fields.json and by the /api/hubspot-form endpoint, the JSON Schema at /formFields.schema.json.
+ * Message catalogs come from data/locales unless catalogs has one for the file, e.g. { 'de.json': {...} }.
+ * withSchemaValidator puts js/formSchemaValidator.js on the page before the handler.
+ * onSubmit(payload) answers submit endpoint requests with { status, body }.
+ * Resolves to { window, document, instance, logs, requests, close }.
+ */
+const mountForm = async ({ fields, options = {}, url = 'https://circle.example/apply', lang = 'en', catalogs = {}, withSchemaValidator = false, onSubmit } = {}) => {
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  ['log', 'warn', 'error'].forEach((level) => {
+    virtualConsole.on(level, (...args) => logs.push({ level, message: args.map(String).join(' ') }));
+  });
+
+  const dom = new JSDOM(FORM_MARKUP.replace('{lang}', lang), {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  if (!window.CSS) window.CSS = { escape: cssEscape };
+
+  const requests = [];
+  window.fetch = async (requestUrl, init = {}) => {
+    const target = String(requestUrl);
+    requests.push({ url: target, init });
+
+    if (target.startsWith('/fields.json') || target.startsWith('/api/hubspot-form')) {
+      return createFetchResponse(200, JSON.parse(JSON.stringify(fields)));
+    }
+
+    if (target.startsWith('/formFields.schema.json')) {
+      return createFetchResponse(200, JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')));
+    }
+
+    if (target.startsWith('/locales/')) {
+      if (catalogs[path.basename(target)]) {
+        return createFetchResponse(200, catalogs[path.basename(target)]);
+      }
+
+      const file = path.join(LOCALES_DIR, path.basename(target));
+      return fs.existsSync(file)
+        ? createFetchResponse(200, JSON.parse(fs.readFileSync(file, 'utf8')))
+        : createFetchResponse(404, {});
+    }
+
+    if (target.startsWith('/api/hubspot-submit') && onSubmit) {
+      const reply = await onSubmit(JSON.parse(init.body));
+      return createFetchResponse(reply.status || 200, reply.body);
+    }
+
+    return createFetchResponse(404, {});
+  };
+
+  if (withSchemaValidator) {
+    window.eval(`${fs.readFileSync(VALIDATOR_SOURCE, 'utf8')}\n;window.FormSchemaValidator = FormSchemaValidator;`);
+  }
+  window.eval(`${fs.readFileSync(HANDLER_SOURCE, 'utf8')}\n;window.DynamicFormHandler = DynamicFormHandler;`);
+
+  const instance = window.DynamicFormHandler.create(window.document.getElementById('form-root'), {
+    hubspotFormGuid: '0a1b2c3d-0000-4000-8000-000000000003',
+    formFieldsUrl: '/fields.json',
+    schemaEndpoint: null,
+    schemaDefinitionUrl: null,
+    localesUrl: '/locales',
+    saveDrafts: false,
+    analytics: false,
+    ...options,
+  });
+  await instance.ready;
+
+  return {
+    window,
+    document: window.document,
+    instance,
+    logs,
+    requests,
+    close: () => window.close(),
+  };
+};
+
+/**
+ * Wait for pending promises and timers of the page to settle
+ */
+const settle = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+  mountForm,
+  settle,
+};
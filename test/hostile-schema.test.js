@@ -0,0 +1,274 @@
+/**
+ * Schema text is rendered as text: markup in labels, options, rich text, step titles, messages and the
+ * button icon cannot add scripts, event handlers or javascript: links, and odd field names still work in selectors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountForm, settle } = require('./browser');
+
+const HOSTILE = '"><img src=x onerror="window.pwned=1"><script>window.pwned=1</script>';
+const HOSTILE_RICH_TEXT = '<p onclick="window.pwned=1">Read <a href="javascript:window.pwned=1">the terms</a>'
+  + '<a href=" JaVaScRiPt:window.pwned=1">again</a><script>window.pwned=1</script>'
+  + '<img src=x onerror="window.pwned=1"><iframe src="javascript:window.pwned=1"></iframe>'
+  + '<a href="//evil.example">elsewhere</a><a href="/\\evil.example">elsewhere</a><a href="/\t/evil.example">elsewhere</a>'
+  + '<svg><a xlink:href="javascript:window.pwned=1"><text>svg</text></a></svg></p>';
+const HOSTILE_ICON = '<svg viewBox="0 0 10 10" onload="window.pwned=1"><script>window.pwned=1</script>'
+  + '<a href="javascript:window.pwned=1"><path d="M0 0h10v10z"/></a><use href="javascript:window.pwned=1"/>'
+  + '<foreignObject><img src=x onerror="window.pwned=1"></foreignObject></svg>';
+
+// Names with quotes and brackets break attribute selectors unless they are escaped
+const GROUP_NAME = 'topics"] *, [x="';
+
+const FIELDS = [
+  {
+    fieldType: 'text',
+    name: 'email',
+    label: HOSTILE,
+    placeholder: HOSTILE,
+    description: HOSTILE_RICH_TEXT,
+    required: true,
+    objectTypeId: '0-1',
+  },
+  {
+    fieldType: 'select',
+    name: 'career_level',
+    label: HOSTILE,
+    objectTypeId: '0-1',
+    options: [{ value: HOSTILE, label: HOSTILE }],
+  },
+  {
+    fieldType: 'checkbox',
+    name: GROUP_NAME,
+    label: HOSTILE,
+    required: true,
+    objectTypeId: '0-1',
+    options: [{ value: 'Events', label: HOSTILE }, { value: HOSTILE, label: 'Other' }],
+    dependentFieldFilters: [{
+      filters: [{ operator: 'EQ', strValue: 'Events' }],
+      formFieldAction: 'DISPLAY',
+      dependentFormField: { fieldType: 'text', name: 'event_name', label: HOSTILE, objectTypeId: '0-1' },
+    }],
+  },
+  { fieldType: 'booleancheckbox', name: 'newsletter', label: HOSTILE_RICH_TEXT, objectTypeId: '0-1' },
+  {
+    fieldType: 'consent',
+    name: 'legal_consent',
+    communicationsText: HOSTILE_RICH_TEXT,
+    communications: [{ subscriptionTypeId: 1, label: HOSTILE_RICH_TEXT, required: false }],
+    processingText: HOSTILE_RICH_TEXT,
+    processingLabel: HOSTILE_RICH_TEXT,
+    privacyText: HOSTILE_RICH_TEXT,
+  },
+  { fieldType: 'submit', name: 'submit_button', buttonText: HOSTILE, buttonIcon: HOSTILE_ICON },
+];
+
+/**
+ * Every script element, on* attribute, javascript: URL and link to another host in the document
+ */
+const findUnsafeMarkup = (document) => {
+  const problems = Array.from(document.querySelectorAll('script')).map(() => '<script>');
+
+  document.querySelectorAll('*').forEach((element) => {
+    Array.from(element.attributes).forEach((attribute) => {
+      if (attribute.name.toLowerCase().startsWith('on')) {
+        problems.push(`${element.tagName} ${attribute.name}`);
+      }
+      // Browsers ignore whitespace and control characters when reading the scheme
+      if (/^javascript:/i.test(attribute.value.replace(/[\u0000- ]/g, ''))) {
+        problems.push(`${element.tagName} ${attribute.name}=${attribute.value}`);
+      }
+      if (attribute.name === 'href' && attribute.value.includes('evil.example')) {
+        problems.push(`${element.tagName} href=${attribute.value}`);
+      }
+    });
+  });
+
+  return problems;
+};
+
+test('renders hostile schema text without scripts, handlers or javascript: links', async () => {
+  const page = await mountForm({ fields: FIELDS });
+
+  try {
+    assert.deepEqual(findUnsafeMarkup(page.document), []);
+    assert.equal(page.document.querySelectorAll('iframe, foreignObject').length, 0);
+
+    // The text is still shown, as text
+    const email = page.document.querySelector('[data-field-name="email"]');
+    assert.equal(page.document.querySelector(`label[for="${email.id}"]`).textContent, HOSTILE);
+    assert.equal(email.getAttribute('placeholder'), HOSTILE);
+    assert.equal(page.document.querySelector('[data-field-name="career_level"] option:last-child').value, HOSTILE);
+    assert.equal(page.document.querySelector('[data-form-submit]').textContent.includes(HOSTILE), true);
+    assert.equal(page.window.pwned, undefined);
+  } finally {
+    page.close();
+  }
+});
+
+test('renders hostile radio options, textarea text, step titles and hidden fields as text', async () => {
+  const hiddenName = 'source"] *, [x="';
+  const page = await mountForm({
+    fields: [
+      { fieldType: 'radio', name: 'role', label: HOSTILE, objectTypeId: '0-1', options: [{ value: HOSTILE, label: HOSTILE }] },
+      { fieldType: 'textarea', name: 'bio', label: HOSTILE, placeholder: HOSTILE, defaultValue: HOSTILE, objectTypeId: '0-1' },
+      { fieldType: 'text', name: hiddenName, hidden: true, defaultValue: HOSTILE, objectTypeId: '0-1' },
+      {
+        fieldType: 'steps',
+        enabled: true,
+        name: 'steps',
+        nextButtonText: HOSTILE,
+        backButtonText: HOSTILE,
+        steps: [{ title: HOSTILE, fields: ['role'] }, { title: HOSTILE_RICH_TEXT, fields: ['bio'] }],
+      },
+      { fieldType: 'submit', name: 'submit_button', buttonText: 'Apply' },
+    ],
+  });
+
+  try {
+    assert.deepEqual(findUnsafeMarkup(page.document), []);
+
+    const radio = page.document.querySelector('[data-field-name="role"]');
+    assert.equal(radio.value, HOSTILE);
+    assert.equal(radio.closest('label, .w-radio').textContent.includes(HOSTILE), true);
+
+    const textarea = page.document.querySelector('[data-field-name="bio"]');
+    assert.equal(textarea.value, HOSTILE);
+    assert.equal(textarea.getAttribute('placeholder'), HOSTILE);
+
+    const hidden = Array.from(page.document.querySelectorAll('input[type="hidden"]'))
+      .find((input) => input.getAttribute('data-field-name') === hiddenName);
+    assert.equal(hidden.value, HOSTILE);
+
+    const titles = Array.from(page.document.querySelectorAll('.form-steps-progress_title')).map((title) => title.textContent);
+    assert.deepEqual(titles, [HOSTILE, HOSTILE_RICH_TEXT]);
+  } finally {
+    page.close();
+  }
+});
+
+for (const type of ['message', 'modal']) {
+  test(`shows hostile templates and submitted values as text in the success ${type}`, async () => {
+    const page = await mountForm({
+      fields: [
+        { fieldType: 'text', name: 'nickname', label: 'Nickname', objectTypeId: '0-1' },
+        {
+          fieldType: 'submit',
+          name: 'submit_button',
+          successAction: {
+            type,
+            title: `${HOSTILE} {nickname}`,
+            message: `${HOSTILE_RICH_TEXT} {nickname}`,
+            url: 'https://calendar.example/book?name={nickname}',
+            linkText: HOSTILE,
+          },
+        },
+      ],
+      onSubmit: () => ({ body: { success: true, inlineMessage: HOSTILE_RICH_TEXT } }),
+    });
+
+    try {
+      page.document.querySelector('[data-field-name="nickname"]').value = HOSTILE;
+      page.document.querySelector('[data-form-submit]').click();
+      await settle(100);
+
+      const success = page.document.querySelector(type === 'modal' ? '.success-modal' : '.form-success-message');
+      assert.notEqual(success, null);
+      assert.deepEqual(findUnsafeMarkup(page.document), []);
+      assert.equal(success.textContent.includes(`${HOSTILE} ${HOSTILE}`), true);
+      assert.equal(success.querySelector('a[href^="https://calendar.example/"]').textContent, HOSTILE);
+      assert.equal(page.window.pwned, undefined);
+    } finally {
+      page.close();
+    }
+  });
+}
+
+test('shows hostile catalog messages as text in the error modal', async () => {
+  const page = await mountForm({
+    fields: [
+      { fieldType: 'text', name: 'nickname', label: 'Nickname', objectTypeId: '0-1' },
+      { fieldType: 'submit', name: 'submit_button' },
+    ],
+    lang: 'de',
+    catalogs: { 'de.json': { errorModalTitle: HOSTILE, errorModalButton: HOSTILE, submitFailed: HOSTILE_RICH_TEXT } },
+    onSubmit: () => ({ status: 502, body: { success: false, error: 'hubspot_error', message: HOSTILE } }),
+  });
+
+  try {
+    page.document.querySelector('[data-field-name="nickname"]').value = 'Ada';
+    page.document.querySelector('[data-form-submit]').click();
+    await settle(100);
+
+    const modal = page.document.querySelector('.error-modal');
+    assert.notEqual(modal, null);
+    assert.deepEqual(findUnsafeMarkup(page.document), []);
+    assert.equal(modal.querySelector('.error-modal-title').textContent, HOSTILE);
+    assert.equal(modal.querySelector('.error-modal-message').textContent, HOSTILE_RICH_TEXT);
+    assert.equal(modal.querySelector('.error-modal-button').textContent.trim(), HOSTILE);
+  } finally {
+    page.close();
+  }
+});
+
+test('leaves out a protocol-relative successAction url', async () => {
+  const page = await mountForm({
+    fields: [
+      { fieldType: 'text', name: 'email', label: 'Email', objectTypeId: '0-1' },
+      { fieldType: 'submit', name: 'submit_button', successAction: { type: 'message', url: '//evil.example/book?email={email}' } },
+    ],
+    onSubmit: () => ({ body: { success: true } }),
+  });
+
+  try {
+    page.document.querySelector('[data-field-name="email"]').value = 'ada@example.com';
+    page.document.querySelector('[data-form-submit]').click();
+    await settle(100);
+
+    assert.deepEqual(findUnsafeMarkup(page.document), []);
+    assert.equal(page.logs.some((entry) => entry.level === 'warn' && entry.message.includes('successAction url')), true);
+  } finally {
+    page.close();
+  }
+});
+
+test('looks up fields with quotes and brackets in their names', async () => {
+  let payload = null;
+  const page = await mountForm({
+    fields: FIELDS,
+    onSubmit: (body) => {
+      payload = body;
+      return { body: { success: true } };
+    },
+  });
+
+  try {
+    await settle(150);
+    const options = Array.from(page.document.querySelectorAll('input[type="checkbox"]'))
+      .filter((input) => input.getAttribute('data-field-name') === GROUP_NAME);
+    assert.equal(options.length, 2);
+
+    // A required group with nothing ticked reports its error on the group
+    options[0].dispatchEvent(new page.window.Event('change'));
+    assert.equal(options[0].getAttribute('aria-invalid'), 'true');
+
+    // Ticking the parent shows its conditional field
+    options[0].checked = true;
+    options[0].dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    const eventName = page.document.querySelector('[data-field-name="event_name"]');
+    assert.equal(eventName.disabled, false);
+    eventName.value = 'Summit';
+
+    page.document.querySelector('[data-field-name="email"]').value = 'ada@example.com';
+    page.document.querySelector('input[data-consent="processing"]').checked = true;
+    page.document.querySelector('[data-form-submit]').click();
+    await settle(100);
+
+    assert.notEqual(payload, null);
+    assert.deepEqual(payload.fields.find((field) => field.name === GROUP_NAME), { objectTypeId: '0-1', name: GROUP_NAME, value: 'Events' });
+    assert.equal(payload.fields.find((field) => field.name === 'event_name').value, 'Summit');
+    assert.deepEqual(page.logs.filter((entry) => entry.level === 'error'), []);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,184 @@
+/**
+ * Files submitted with a form: checked by content, stored only after reCAPTCHA verification,
+ * and removed again when HubSpot turns the submission down
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const submitHandler = require('../api/hubspot-submit');
+const { invoke, startStandIn, interceptFetch, setEnv } = require('./support');
+
+const PORTAL_ID = '123456';
+const FORM_GUID = '0a1b2c3d-0000-4000-8000-000000000002';
+
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n1 0 obj\n<<>>\nendobj\n').toString('base64');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]).toString('base64');
+const EXECUTABLE = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00]).toString('base64');
+
+let assessmentValid;
+let standIn;
+let restoreEnv;
+let restoreFetch;
+let fileRequests;
+let submitRequests;
+let submitStatus;
+
+test.before(async () => {
+  standIn = await startStandIn(() => ({
+    body: assessmentValid
+      ? { tokenProperties: { valid: true, action: 'SUBMIT_FORM' }, riskAnalysis: { score: 0.9 } }
+      : { tokenProperties: { valid: false, invalidReason: 'DUPE' } },
+  }));
+});
+
+test.after(() => standIn.close());
+
+test.beforeEach(() => {
+  assessmentValid = true;
+  submitStatus = 200;
+  fileRequests = [];
+  submitRequests = [];
+
+  restoreEnv = setEnv({
+    HUBSPOT_ACCESS_TOKEN: 'hubspot-token',
+    HUBSPOT_ALLOWED_FORMS: `${PORTAL_ID}:${FORM_GUID}`,
+    RECAPTCHA_DISABLED: undefined,
+    RECAPTCHA_PROJECT_ID: 'circle-project',
+    RECAPTCHA_API_KEY: 'api-key',
+    RECAPTCHA_SITE_KEY: 'site-key',
+    RECAPTCHA_ASSESSMENT_URL: standIn.url,
+    RECAPTCHA_ALLOWED_HOSTNAMES: undefined,
+  });
+
+  const restoreFiles = interceptFetch('https://api.hubapi.com/files/', (url, options) => {
+    const file = options.body instanceof FormData ? options.body.get('file') : null;
+    fileRequests.push({ url, method: options.method, fileName: file && file.name, type: file && file.type });
+    return { body: options.method === 'DELETE' ? '' : { id: `file-${fileRequests.length}`, url: `https://files.example/${fileRequests.length}` } };
+  });
+  const restoreSubmit = interceptFetch('https://api.hsforms.com/', (url, options) => {
+    submitRequests.push(JSON.parse(options.body));
+    if (submitStatus === null) throw new TypeError('fetch failed');
+    return submitStatus === 200
+      ? { body: {} }
+      : { status: submitStatus, body: { message: 'Form is not published' } };
+  });
+
+  restoreFetch = () => {
+    restoreSubmit();
+    restoreFiles();
+  };
+});
+
+test.afterEach(() => {
+  restoreFetch();
+  restoreEnv();
+});
+
+const submit = (files, overrides = {}) => invoke(submitHandler, {
+  body: {
+    portalId: PORTAL_ID,
+    formGuid: FORM_GUID,
+    submissionId: `sub-${Math.random().toString(36).slice(2, 12)}`,
+    recaptchaToken: 'token',
+    fields: [{ name: 'email', value: 'ada@example.com' }],
+    files,
+    ...overrides,
+  },
+});
+
+test('stores a verified submission\'s files under the detected type and submits their URLs', async () => {
+  const res = await submit([
+    { name: 'resume', objectTypeId: '0-1', fileName: 'C:\\fakepath\\resume.exe', data: PDF },
+    { name: 'photo', fileName: 'me.png', data: PNG },
+  ]);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(fileRequests.map((request) => [request.method, request.fileName, request.type]), [
+    ['POST', 'resume.pdf', 'application/pdf'],
+    ['POST', 'me.png', 'image/png'],
+  ]);
+  assert.deepEqual(submitRequests[0].fields, [
+    { objectTypeId: '0-1', name: 'email', value: 'ada@example.com' },
+    { objectTypeId: '0-1', name: 'resume', value: 'https://files.example/1' },
+    { objectTypeId: '0-1', name: 'photo', value: 'https://files.example/2' },
+  ]);
+});
+
+test('does not store anything when the reCAPTCHA token is rejected', async () => {
+  assessmentValid = false;
+  const res = await submit([{ name: 'resume', fileName: 'resume.pdf', data: PDF }]);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'captcha_expired');
+  assert.equal(fileRequests.length, 0);
+  assert.equal(submitRequests.length, 0);
+});
+
+test('rejects a file whose content is not an accepted type, whatever its name says', async () => {
+  const assessments = standIn.requests.length;
+  const res = await submit([{ name: 'resume', fileName: 'resume.pdf', contentType: 'application/pdf', data: EXECUTABLE }]);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'invalid_file');
+  assert.equal(fileRequests.length, 0);
+  // The token is left unspent for the corrected submission
+  assert.equal(standIn.requests.length, assessments);
+});
+
+test('rejects files that are too large together', async () => {
+  const large = Buffer.concat([Buffer.from('%PDF-'), Buffer.alloc(2 * 1024 * 1024)]).toString('base64');
+  const res = await submit([
+    { name: 'resume', fileName: 'resume.pdf', data: large },
+    { name: 'cover_letter', fileName: 'letter.pdf', data: large },
+  ]);
+
+  assert.equal(res.statusCode, 413);
+  assert.equal(res.body.error, 'file_too_large');
+  assert.equal(fileRequests.length, 0);
+});
+
+test('deletes the stored files when HubSpot turns the submission down', async () => {
+  submitStatus = 404;
+  const res = await submit([{ name: 'resume', fileName: 'resume.pdf', data: PDF }]);
+
+  assert.equal(res.statusCode, 502);
+  assert.deepEqual(fileRequests.map((request) => [request.method, request.url]), [
+    ['POST', 'https://api.hubapi.com/files/v3/files'],
+    ['DELETE', 'https://api.hubapi.com/files/v3/files/file-1'],
+  ]);
+});
+
+test('deletes the stored files when HubSpot cannot be reached', async () => {
+  submitStatus = null;
+  const res = await submit([{ name: 'resume', fileName: 'resume.pdf', data: PDF }]);
+
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.error, 'upstream_unavailable');
+  assert.deepEqual(fileRequests.map((request) => [request.method, request.url]), [
+    ['POST', 'https://api.hubapi.com/files/v3/files'],
+    ['DELETE', 'https://api.hubapi.com/files/v3/files/file-1'],
+  ]);
+});
+
+test('accepts a JSON string body', async () => {
+  const res = await invoke(submitHandler, {
+    body: JSON.stringify({
+      portalId: PORTAL_ID,
+      formGuid: FORM_GUID,
+      recaptchaToken: 'token',
+      fields: [{ name: 'email', value: 'ada@example.com' }],
+      files: [{ name: 'resume', fileName: 'resume.pdf', data: PDF }],
+    }),
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(fileRequests.length, 1);
+});
+
+test('rejects malformed file entries before doing anything', async () => {
+  const res = await submit([{ name: 'resume"><script>', fileName: 'resume.pdf', data: PDF }]);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'invalid_payload');
+  assert.equal(fileRequests.length, 0);
+});
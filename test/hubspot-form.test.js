@@ -0,0 +1,127 @@
+/**
+ * Form definitions served by /api/hubspot-form, with the Forms API replaced by a local reply
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const formHandler = require('../api/hubspot-form');
+const staticFields = require('../data/formFields.json');
+const { invoke, interceptFetch, setEnv } = require('./support');
+
+const PORTAL_ID = '123456';
+const HUBSPOT_FORMS_ENDPOINT = 'https://api.hubapi.com/forms/v2/forms/';
+
+// The handler caches per form while the module is loaded, so each test asks for a form of its own
+const formGuid = (index) => `0a1b2c3d-0000-4000-8000-00000000010${index}`;
+
+const LIVE_FORM = {
+  formFieldGroups: [
+    { fields: [{ name: 'email', label: 'Email', fieldType: 'text', propertyObjectType: 'CONTACT' }] },
+    { fields: [{ name: 'company_size', label: 'Company size', fieldType: 'select', propertyObjectType: 'COMPANY' }] },
+  ],
+};
+
+// Reply to the next Forms API request, and every request made so far
+let hubspotReply;
+let hubspotRequests;
+let restoreFetch;
+let restoreEnv;
+
+const getForm = (guid, query = {}) =>
+  invoke(formHandler, { method: 'GET', query: { portalId: PORTAL_ID, formGuid: guid, ...query } });
+
+test.beforeEach(() => {
+  hubspotReply = { status: 200, body: LIVE_FORM };
+  hubspotRequests = [];
+  restoreFetch = interceptFetch(HUBSPOT_FORMS_ENDPOINT, (url) => {
+    hubspotRequests.push(url);
+    return hubspotReply;
+  });
+  restoreEnv = setEnv({
+    HUBSPOT_ACCESS_TOKEN: 'access-token',
+    HUBSPOT_ALLOWED_FORMS: [1, 2, 3, 4, 5].map((index) => `${PORTAL_ID}:${formGuid(index)}`).join(','),
+    HUBSPOT_PORTAL_ID: undefined,
+    HUBSPOT_FORM_GUID: undefined,
+    HUBSPOT_FORM_CACHE_TTL: undefined,
+  });
+});
+
+test.afterEach(() => {
+  restoreFetch();
+  restoreEnv();
+});
+
+test('builds the live definition with objectTypeIds from propertyObjectType and reuses it from the cache', async () => {
+  const live = await getForm(formGuid(1));
+
+  assert.equal(live.statusCode, 200);
+  assert.equal(live.headers['x-form-schema-source'], 'hubspot');
+  assert.equal(live.body.find((field) => field.name === 'email').objectTypeId, '0-1');
+  assert.equal(live.body.find((field) => field.name === 'company_size').objectTypeId, '0-2');
+  assert.equal(live.body.some((field) => field.fieldType === 'submit'), true);
+
+  const cached = await getForm(formGuid(1));
+
+  assert.equal(cached.headers['x-form-schema-source'], 'cache');
+  assert.deepEqual(cached.body, live.body);
+  assert.equal(hubspotRequests.length, 1);
+});
+
+test('serves an expired live definition when HubSpot cannot be reached', async () => {
+  process.env.HUBSPOT_FORM_CACHE_TTL = '0';
+  const live = await getForm(formGuid(2));
+  hubspotReply = { status: 503, body: {} };
+
+  const stale = await getForm(formGuid(2));
+
+  assert.equal(stale.statusCode, 200);
+  assert.equal(stale.headers['x-form-schema-source'], 'stale-cache');
+  assert.equal(stale.headers['cache-control'], 'no-store');
+  assert.deepEqual(stale.body, live.body);
+  assert.equal(hubspotRequests.length, 2);
+});
+
+test('serves the static schema when HubSpot fails and nothing is cached', async () => {
+  hubspotReply = { status: 500, body: {} };
+
+  const res = await getForm(formGuid(3));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['x-form-schema-source'], 'static');
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.deepEqual(res.body, staticFields);
+});
+
+test('serves the static schema without asking HubSpot when no access token is set', async () => {
+  process.env.HUBSPOT_ACCESS_TOKEN = '';
+
+  const res = await getForm(formGuid(4));
+
+  assert.equal(res.headers['x-form-schema-source'], 'static');
+  assert.equal(hubspotRequests.length, 0);
+});
+
+test('fails rather than serving HubSpot fields alone when the static schema is missing', async () => {
+  const res = await getForm(formGuid(5), { fallback: 'missing.json' });
+
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.error, 'upstream_unavailable');
+  assert.equal(hubspotRequests.length, 0);
+});
+
+test('refuses a form that is not on the allowlist', async () => {
+  const res = await getForm(formGuid(9));
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'form_not_allowed');
+  assert.equal(hubspotRequests.length, 0);
+});
+
+test('refuses every form until an allowlist is configured', async () => {
+  process.env.HUBSPOT_ALLOWED_FORMS = '';
+
+  const res = await getForm(formGuid(1));
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.error, 'not_configured');
+});
@@ -0,0 +1,40 @@
+/**
+ * Input labels follow the hideInputLabels option; labelHidden in the schema hides a label either way
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountForm } = require('./browser');
+
+const FIELDS = [
+  { fieldType: 'text', name: 'email', label: 'Email', placeholder: 'Email Address', labelHidden: false, objectTypeId: '0-1' },
+  { fieldType: 'text', name: 'nickname', label: 'Nickname', labelHidden: true, objectTypeId: '0-1' },
+  { fieldType: 'submit', name: 'submit_button' },
+];
+
+const isLabelHidden = (page, name) => {
+  const input = page.document.querySelector(`[data-field-name="${name}"]`);
+  return page.document.querySelector(`label[for="${input.id}"]`).classList.contains('sr-only');
+};
+
+test('shows input labels to screen readers only by default', async () => {
+  const page = await mountForm({ fields: FIELDS });
+
+  try {
+    assert.equal(isLabelHidden(page, 'email'), true);
+    assert.equal(isLabelHidden(page, 'nickname'), true);
+  } finally {
+    page.close();
+  }
+});
+
+test('shows input labels without labelHidden when hideInputLabels is off', async () => {
+  const page = await mountForm({ fields: FIELDS, options: { hideInputLabels: 'false' } });
+
+  try {
+    assert.equal(isLabelHidden(page, 'email'), false);
+    assert.equal(isLabelHidden(page, 'nickname'), true);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * reset() and destroy() leave nothing behind: no saved draft, no hidden form, no pending timers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountForm, settle } = require('./browser');
+
+const FIELDS = [
+  { fieldType: 'text', name: 'email', label: 'Email', required: true, objectTypeId: '0-1' },
+  { fieldType: 'submit', name: 'submit_button', buttonText: 'Apply' },
+];
+
+const DRAFT_KEY = 'dynamicForm.draft.26055346:0a1b2c3d-0000-4000-8000-000000000003';
+
+test('reset() discards the saved draft', async () => {
+  const page = await mountForm({ fields: FIELDS, options: { saveDrafts: true } });
+
+  try {
+    const email = page.document.querySelector('[data-field-name="email"]');
+    email.value = 'ada@example.com';
+    email.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    await settle(500);
+    assert.notEqual(page.window.localStorage.getItem(DRAFT_KEY), null);
+
+    page.instance.reset();
+
+    assert.equal(email.value, '');
+    assert.equal(page.window.localStorage.getItem(DRAFT_KEY), null);
+  } finally {
+    page.close();
+  }
+});
+
+test('destroy() brings back a form that was replaced by the success message', async () => {
+  const page = await mountForm({ fields: FIELDS, onSubmit: () => ({ body: { success: true } }) });
+
+  try {
+    page.document.querySelector('[data-field-name="email"]').value = 'ada@example.com';
+    page.document.querySelector('[data-form-submit]').click();
+    await settle(100);
+
+    const form = page.instance.form;
+    assert.equal(form.classList.contains('is-hidden'), true);
+
+    page.instance.destroy();
+
+    assert.equal(form.classList.contains('is-hidden'), false);
+    assert.equal(page.document.querySelector('.form-success-message.active'), null);
+  } finally {
+    page.close();
+  }
+});
+
+test('destroy() stops the pending reCAPTCHA setup', async () => {
+  const fields = [...FIELDS, { fieldType: 'recaptcha', name: 'recaptcha', enabled: true, siteKey: 'site-key' }];
+  const page = await mountForm({ fields });
+
+  try {
+    // Without the reCAPTCHA script the setup keeps retrying until the form goes away
+    await settle(700);
+    assert.equal(page.logs.some((entry) => entry.message.includes('reCAPTCHA script not loaded')), true);
+
+    page.instance.destroy();
+    const logCount = page.logs.length;
+    await settle(1200);
+
+    assert.deepEqual(page.logs.slice(logCount).filter((entry) => entry.message.includes('reCAPTCHA')), []);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,112 @@
+/**
+ * Form language: which locale is picked, which catalog is loaded, and how field translations apply
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountForm, settle } = require('./browser');
+
+const FIELDS = [
+  {
+    fieldType: 'text',
+    name: 'email',
+    label: 'Email',
+    required: true,
+    objectTypeId: '0-1',
+    translations: {
+      fr: { label: 'Adresse e-mail' },
+      pt: { label: 'E-mail' },
+    },
+  },
+  {
+    fieldType: 'select',
+    name: 'career_level',
+    label: 'Career level',
+    objectTypeId: '0-1',
+    options: [{ value: 'Executive', label: 'Executive' }, { value: 'Manager', label: 'Manager' }],
+    translations: {
+      fr: { label: 'Niveau de carrière', options: { Executive: 'Cadre dirigeant' } },
+    },
+  },
+  { fieldType: 'submit', name: 'submit_button' },
+];
+
+const getLabel = (page, name) => page.document.querySelector(`label[for="${page.document.querySelector(`[data-field-name="${name}"]`).id}"]`).textContent;
+
+const getCatalogRequests = (page) => page.requests.map((request) => request.url).filter((url) => url.startsWith('/locales/'));
+
+/**
+ * Blur the empty required email field and read the message it shows
+ */
+const getRequiredMessage = async (page) => {
+  await settle(150);
+  const email = page.document.querySelector('[data-field-name="email"]');
+  email.dispatchEvent(new page.window.Event('blur'));
+  return page.document.getElementById(email.getAttribute('aria-describedby').split(' ').pop()).textContent;
+};
+
+test('follows <html lang> with the French catalog and field translations', async () => {
+  const page = await mountForm({ fields: FIELDS, lang: 'fr' });
+
+  try {
+    assert.deepEqual(getCatalogRequests(page), ['/locales/fr.json']);
+    assert.equal(getLabel(page, 'email'), 'Adresse e-mail');
+    assert.equal(getLabel(page, 'career_level'), 'Niveau de carrière');
+    assert.deepEqual(
+      Array.from(page.document.querySelectorAll('[data-field-name="career_level"] option')).slice(1).map((option) => option.textContent),
+      ['Cadre dirigeant', 'Manager']
+    );
+    assert.equal(page.document.querySelector('[data-form-submit]').textContent.trim(), 'Envoyer');
+    assert.equal(await getRequiredMessage(page), 'Ce champ est obligatoire.');
+  } finally {
+    page.close();
+  }
+});
+
+test('prefers ?lang= over <html lang> and falls back from pt-BR to pt', async () => {
+  const page = await mountForm({ fields: FIELDS, lang: 'fr', url: 'https://circle.example/apply?lang=pt_BR' });
+
+  try {
+    assert.deepEqual(getCatalogRequests(page), ['/locales/pt-br.json', '/locales/pt.json']);
+    assert.equal(getLabel(page, 'email'), 'E-mail');
+    // No Portuguese translation for this field, so its own text stays
+    assert.equal(getLabel(page, 'career_level'), 'Career level');
+    assert.equal(await getRequiredMessage(page), 'Este campo é obrigatório.');
+  } finally {
+    page.close();
+  }
+});
+
+test('prefers the locale option over ?lang= and <html lang>', async () => {
+  const page = await mountForm({ fields: FIELDS, lang: 'pt', url: 'https://circle.example/apply?lang=pt', options: { locale: 'fr' } });
+
+  try {
+    assert.deepEqual(getCatalogRequests(page), ['/locales/fr.json']);
+    assert.equal(getLabel(page, 'email'), 'Adresse e-mail');
+  } finally {
+    page.close();
+  }
+});
+
+test('uses English for messages a catalog does not have', async () => {
+  const page = await mountForm({ fields: FIELDS, lang: 'de', catalogs: { 'de.json': { submitButton: 'Absenden' } } });
+
+  try {
+    assert.equal(page.document.querySelector('[data-form-submit]').textContent.trim(), 'Absenden');
+    assert.equal(getLabel(page, 'email'), 'Email');
+    assert.equal(await getRequiredMessage(page), 'This field is required.');
+  } finally {
+    page.close();
+  }
+});
+
+test('stays in English when no catalog exists for the locale', async () => {
+  const page = await mountForm({ fields: FIELDS, lang: 'xx' });
+
+  try {
+    assert.equal(page.document.querySelector('[data-form-submit]').textContent.trim(), 'Submit');
+    assert.equal(page.logs.some((entry) => entry.message.includes('No message catalog found for xx')), true);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,230 @@
+/**
+ * reCAPTCHA Enterprise verification, against a local stand-in for the assessment API
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyRecaptcha } = require('../api/_lib/recaptcha');
+const submitHandler = require('../api/hubspot-submit');
+const { invoke, startStandIn, interceptFetch, setEnv } = require('./support');
+
+const PORTAL_ID = '123456';
+const FORM_GUID = '0a1b2c3d-0000-4000-8000-000000000001';
+
+// Assessment returned for the next request, replaced by each test
+let assessment;
+let assessmentStatus;
+let standIn;
+let restoreEnv;
+
+const validAssessment = (overrides = {}) => ({
+  tokenProperties: { valid: true, action: 'SUBMIT_FORM', hostname: 'www.example.com', ...overrides.tokenProperties },
+  riskAnalysis: { score: 0.9, reasons: [], ...overrides.riskAnalysis },
+});
+
+test.before(async () => {
+  standIn = await startStandIn(() => ({ status: assessmentStatus, body: assessment }));
+});
+
+test.after(() => standIn.close());
+
+test.beforeEach(() => {
+  assessment = validAssessment();
+  assessmentStatus = 200;
+  restoreEnv = setEnv({
+    RECAPTCHA_DISABLED: undefined,
+    RECAPTCHA_PROJECT_ID: 'circle-project',
+    RECAPTCHA_API_KEY: 'api-key',
+    RECAPTCHA_SITE_KEY: 'site-key',
+    RECAPTCHA_ASSESSMENT_URL: standIn.url,
+    RECAPTCHA_EXPECTED_ACTION: undefined,
+    RECAPTCHA_SCORE_THRESHOLD: undefined,
+    RECAPTCHA_ALLOWED_HOSTNAMES: 'www.example.com',
+  });
+});
+
+test.afterEach(() => restoreEnv());
+
+test('accepts a valid token and sends it with the site key and expected action', async () => {
+  const result = await verifyRecaptcha('token-1');
+
+  assert.deepEqual(result, { ok: true, score: 0.9 });
+  const request = standIn.requests[standIn.requests.length - 1];
+  assert.equal(request.url, '/projects/circle-project/assessments?key=api-key');
+  assert.deepEqual(request.body.event, { token: 'token-1', siteKey: 'site-key', expectedAction: 'SUBMIT_FORM' });
+});
+
+test('rejects a score below the threshold', async () => {
+  assessment = validAssessment({ riskAnalysis: { score: 0.3 } });
+
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_low_score', status: 403 });
+});
+
+test('falls back to the default threshold when RECAPTCHA_SCORE_THRESHOLD is not a number', async () => {
+  process.env.RECAPTCHA_SCORE_THRESHOLD = 'half';
+  assessment = validAssessment({ riskAnalysis: { score: 0.3 } });
+
+  assert.equal((await verifyRecaptcha('token')).reason, 'captcha_low_score');
+});
+
+test('honours a numeric RECAPTCHA_SCORE_THRESHOLD', async () => {
+  process.env.RECAPTCHA_SCORE_THRESHOLD = '0.2';
+  assessment = validAssessment({ riskAnalysis: { score: 0.3 } });
+
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: true, score: 0.3 });
+});
+
+test('rejects a token issued for another action', async () => {
+  assessment = validAssessment({ tokenProperties: { action: 'LOGIN' } });
+
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_action_mismatch', status: 400 });
+});
+
+test('rejects a token solved on a hostname that is not allowed', async () => {
+  assessment = validAssessment({ tokenProperties: { hostname: 'evil.example' } });
+
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_hostname_mismatch', status: 400 });
+});
+
+test('reports duplicate and expired tokens as expired', async () => {
+  assessment = { tokenProperties: { valid: false, invalidReason: 'DUPE' } };
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_expired', status: 400 });
+
+  assessment = { tokenProperties: { valid: false, invalidReason: 'EXPIRED' } };
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_expired', status: 400 });
+});
+
+test('rejects a missing token without calling the assessment API', async () => {
+  const requestCount = standIn.requests.length;
+
+  assert.deepEqual(await verifyRecaptcha(undefined), { ok: false, reason: 'captcha_missing', status: 400 });
+  assert.equal(standIn.requests.length, requestCount);
+});
+
+test('reports the assessment API failing as unavailable', async () => {
+  assessmentStatus = 500;
+  assessment = { error: { message: 'backend error' } };
+
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_unavailable', status: 503 });
+});
+
+test('reports the assessment API being unreachable as unavailable', async () => {
+  process.env.RECAPTCHA_ASSESSMENT_URL = 'http://127.0.0.1:1';
+
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_unavailable', status: 503 });
+});
+
+test('refuses to verify when the project is not configured', async () => {
+  delete process.env.RECAPTCHA_API_KEY;
+
+  assert.deepEqual(await verifyRecaptcha('token'), { ok: false, reason: 'captcha_unavailable', status: 500 });
+});
+
+test.describe('hubspot-submit', () => {
+  let hubspotRequests;
+  let restoreFetch;
+  let restoreSubmitEnv;
+
+  const submit = (overrides = {}) => invoke(submitHandler, {
+    body: {
+      portalId: PORTAL_ID,
+      formGuid: FORM_GUID,
+      submissionId: `sub-${Math.random().toString(36).slice(2, 12)}`,
+      recaptchaToken: 'token',
+      fields: [{ name: 'email', value: 'ada@example.com' }],
+      ...overrides,
+    },
+  });
+
+  test.beforeEach(() => {
+    hubspotRequests = [];
+    restoreFetch = interceptFetch('https://api.hsforms.com/', (url, options) => {
+      hubspotRequests.push({ url, body: JSON.parse(options.body) });
+      return { status: 200, body: { inlineMessage: 'Thanks' } };
+    });
+    restoreSubmitEnv = setEnv({
+      HUBSPOT_ACCESS_TOKEN: 'hubspot-token',
+      HUBSPOT_ALLOWED_FORMS: `${PORTAL_ID}:${FORM_GUID}`,
+    });
+  });
+
+  test.afterEach(() => {
+    restoreFetch();
+    restoreSubmitEnv();
+  });
+
+  test('forwards a submission with a valid token without the token', async () => {
+    const res = await submit();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(hubspotRequests.length, 1);
+    assert.equal(hubspotRequests[0].url, `https://api.hsforms.com/submissions/v3/integration/secure/submit/${PORTAL_ID}/${FORM_GUID}`);
+    assert.equal(JSON.stringify(hubspotRequests[0].body).includes('token'), false);
+  });
+
+  const rejections = [
+    ['a low score', () => { assessment = validAssessment({ riskAnalysis: { score: 0.1 } }); }, 403, 'captcha_low_score'],
+    ['an action mismatch', () => { assessment = validAssessment({ tokenProperties: { action: 'LOGIN' } }); }, 400, 'captcha_action_mismatch'],
+    ['a hostname mismatch', () => { assessment = validAssessment({ tokenProperties: { hostname: 'evil.example' } }); }, 400, 'captcha_hostname_mismatch'],
+    ['a spent token', () => { assessment = { tokenProperties: { valid: false, invalidReason: 'DUPE' } }; }, 400, 'captcha_expired'],
+    ['an upstream failure', () => { assessmentStatus = 503; }, 503, 'captcha_unavailable'],
+  ];
+
+  rejections.forEach(([description, arrange, status, error]) => {
+    test(`does not forward a submission after ${description}`, async () => {
+      arrange();
+      const res = await submit();
+
+      assert.equal(res.statusCode, status);
+      assert.equal(res.body.error, error);
+      assert.equal(hubspotRequests.length, 0);
+    });
+  });
+
+  test('retries a verified submission after a temporary HubSpot failure without assessing its spent token again', async () => {
+    const submissionId = 'sub-retry-0001';
+    let hubspotStatus = 429;
+    restoreFetch();
+    restoreFetch = interceptFetch('https://api.hsforms.com/', (url, options) => {
+      hubspotRequests.push({ url, body: JSON.parse(options.body) });
+      return { status: hubspotStatus, body: {} };
+    });
+
+    const first = await submit({ submissionId });
+    assert.equal(first.statusCode, 429);
+    assert.equal(first.body.error, 'rate_limited');
+
+    const assessments = standIn.requests.length;
+    assessment = { tokenProperties: { valid: false, invalidReason: 'DUPE' } };
+    hubspotStatus = 200;
+
+    const retry = await submit({ submissionId });
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.body.success, true);
+    assert.equal(standIn.requests.length, assessments);
+    assert.equal(hubspotRequests.length, 2);
+  });
+
+  test('assesses a submission again when a retry changes what is submitted', async () => {
+    const submissionId = 'sub-retry-0002';
+    restoreFetch();
+    restoreFetch = interceptFetch('https://api.hsforms.com/', () => ({ status: 503, body: {} }));
+
+    assert.equal((await submit({ submissionId })).body.error, 'hubspot_error');
+
+    assessment = { tokenProperties: { valid: false, invalidReason: 'DUPE' } };
+    const retry = await submit({ submissionId, fields: [{ name: 'email', value: 'someone-else@example.com' }] });
+
+    assert.equal(retry.statusCode, 400);
+    assert.equal(retry.body.error, 'captcha_expired');
+  });
+
+  test('does not forward a submission without a token', async () => {
+    const res = await submit({ recaptchaToken: undefined });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'captcha_missing');
+    assert.equal(hubspotRequests.length, 0);
+  });
+});
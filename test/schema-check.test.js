@@ -0,0 +1,55 @@
+/**
+ * Schema checks run in developer mode only and name the URL the fields came from
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountForm } = require('./browser');
+
+// A select needs an options array
+const FIELDS = [
+  { fieldType: 'select', name: 'career_level', label: 'Career level', objectTypeId: '0-1', options: 'Executive' },
+  { fieldType: 'submit', name: 'submit_button' },
+];
+
+const SCHEMA_OPTIONS = { schemaDefinitionUrl: '/formFields.schema.json' };
+
+const getSchemaRequests = (page) => page.requests.filter((request) => request.url.startsWith('/formFields.schema.json'));
+
+test('names the live endpoint when the fields it served do not match the schema', async () => {
+  const page = await mountForm({
+    fields: FIELDS,
+    options: { ...SCHEMA_OPTIONS, debug: true, schemaEndpoint: '/api/hubspot-form' },
+    withSchemaValidator: true,
+  });
+
+  try {
+    const heading = page.document.querySelector('.form-schema-errors strong');
+    assert.notEqual(heading, null);
+    assert.match(heading.textContent, /problems? in \/api\/hubspot-form\?portalId=\d+&formGuid=/);
+  } finally {
+    page.close();
+  }
+});
+
+test('names the static file when the fields came from it', async () => {
+  const page = await mountForm({ fields: FIELDS, options: { ...SCHEMA_OPTIONS, debug: true }, withSchemaValidator: true });
+
+  try {
+    assert.match(page.document.querySelector('.form-schema-errors strong').textContent, /problems? in \/fields\.json$/);
+  } finally {
+    page.close();
+  }
+});
+
+test('loads neither the schema nor the validator outside developer mode', async () => {
+  const page = await mountForm({ fields: FIELDS, options: { ...SCHEMA_OPTIONS, debug: false }, withSchemaValidator: true });
+
+  try {
+    assert.equal(getSchemaRequests(page).length, 0);
+    assert.equal(page.document.querySelector('.form-schema-errors'), null);
+    assert.equal(page.document.querySelector('script[src*="formSchemaValidator"]'), null);
+  } finally {
+    page.close();
+  }
+});
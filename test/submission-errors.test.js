@@ -0,0 +1,47 @@
+/**
+ * Field errors returned by the submit endpoint are shown next to their inputs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountForm, settle } = require('./browser');
+
+const FIELDS = [
+  { fieldType: 'text', name: 'firstname', label: 'First name', required: true, objectTypeId: '0-1' },
+  { fieldType: 'text', name: 'email', label: 'Email', required: true, objectTypeId: '0-1' },
+  { fieldType: 'submit', name: 'submit_button', buttonText: 'Apply' },
+];
+
+test('shows a rejected field\'s error on its input when ids are prefixed', async () => {
+  const page = await mountForm({
+    fields: FIELDS,
+    options: { idPrefix: 'apply-' },
+    onSubmit: () => ({
+      status: 400,
+      body: {
+        success: false,
+        error: 'validation_failed',
+        errors: [{ field: 'email', type: 'BLOCKED_EMAIL', message: 'Email address is blocked' }],
+      },
+    }),
+  });
+
+  try {
+    const firstName = page.document.querySelector('[data-field-name="firstname"]');
+    const email = page.document.querySelector('[data-field-name="email"]');
+    assert.equal(email.id, 'apply-email');
+
+    firstName.value = 'Ada';
+    email.value = 'ada@example.com';
+    page.document.querySelector('[data-form-submit]').click();
+    await settle(100);
+
+    assert.equal(email.classList.contains('is-invalid'), true);
+    assert.equal(email.getAttribute('aria-invalid'), 'true');
+    assert.equal(firstName.classList.contains('is-invalid'), false);
+    assert.equal(page.document.getElementById('error-modal'), null);
+    assert.equal(page.logs.some((entry) => entry.message.includes('Submission error without a visible field')), false);
+  } finally {
+    page.close();
+  }
+});
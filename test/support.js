@@ -0,0 +1,112 @@
+/**
+ * Shared helpers for the endpoint tests.
+ * Run the tests with `npm test` from the repository root.
+ */
+
+const http = require('http');
+
+/**
+ * A Vercel-style response object that records what the handler sent
+ */
+const createResponse = () => {
+  const res = {
+    statusCode: null,
+    body: undefined,
+    headers: {},
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  return res;
+};
+
+/**
+ * Call a handler with a request built from the given fields and resolve to the recorded response
+ */
+const invoke = async (handler, request) => {
+  const res = createResponse();
+  await handler({ method: 'POST', headers: {}, ...request }, res);
+  return res;
+};
+
+/**
+ * Start a local HTTP server whose JSON responses come from respond(body, req).
+ * respond returns { status, body }; every parsed request body is kept in server.requests.
+ */
+const startStandIn = async (respond) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', (chunk) => { text += chunk; });
+    req.on('end', () => {
+      const body = text ? JSON.parse(text) : null;
+      requests.push({ url: req.url, body });
+      const reply = respond(body, req);
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+/**
+ * Route fetch calls for URLs starting with prefix to reply(url, options) and let every other call through.
+ * Returns a function that restores the original fetch.
+ */
+const interceptFetch = (prefix, reply) => {
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options) => {
+    if (String(url).startsWith(prefix)) {
+      const { status = 200, body = {} } = await reply(String(url), options);
+      return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status });
+    }
+    return originalFetch(url, options);
+  };
+  return () => {
+    global.fetch = originalFetch;
+  };
+};
+
+/**
+ * Set environment variables for the duration of a test and return a function that restores them
+ */
+const setEnv = (values) => {
+  const previous = {};
+  Object.keys(values).forEach((name) => {
+    previous[name] = process.env[name];
+    if (values[name] === undefined) delete process.env[name];
+    else process.env[name] = values[name];
+  });
+  return () => {
+    Object.keys(previous).forEach((name) => {
+      if (previous[name] === undefined) delete process.env[name];
+      else process.env[name] = previous[name];
+    });
+  };
+};
+
+module.exports = {
+  createResponse,
+  invoke,
+  startStandIn,
+  interceptFetch,
+  setEnv,
+};